@@ -4,18 +4,239 @@
  * authentication, caching, and rate limiting
  */
 
+import { MemoryCacheStore } from './cache.js';
+import { generateSecureRandomString, hashString } from './utils.js';
+import {
+  readBytes,
+  readText,
+  parseNDJSON,
+  parseEventStream,
+  detectStreamFormat,
+} from './stream.js';
+import { createPaginationStrategy, extractItems } from './pagination.js';
+import {
+  APIError,
+  HTTPError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  RateLimitError,
+  CircuitOpenError,
+  AuthError,
+  ParseError,
+  ValidationError,
+  GraphQLError,
+} from './errors.js';
+import { sendWithTransport } from './transport.js';
+import { MetricsCollector, getRouteKey } from './metrics.js';
+import { validateSchema } from './schema.js';
+import {
+  parseOperation,
+  getOperationCacheKey,
+  getOperationCachePrefix,
+  buildGraphQLBody,
+  isPersistedQueryNotFound,
+} from './graphql.js';
+import {
+  createDefaultQueueStore,
+  isConnectivityError,
+  isTransientError,
+  toQueuedConfig,
+} from './offline.js';
+import {
+  buildJSONBatch,
+  parseJSONBatch,
+  createBoundary,
+  buildMultipartBatch,
+  parseMultipartBatch,
+} from './batch.js';
+import {
+  isAbsoluteURL,
+  isProtocolRelativeURL,
+  escapeURL,
+  expandPath,
+  joinURL,
+  appendQuery,
+} from './url.js';
+import { createResource } from './resource.js';
+
+// Lifecycle events written to the structured logger, with their log level
+const LOGGED_EVENTS = {
+  'request:start': 'debug',
+  'request:retry': 'warn',
+  'request:end': 'info',
+  'request:error': 'error',
+  'cache:hit': 'debug',
+  'cache:miss': 'debug',
+  'cache:revalidate-error': 'warn',
+  'ratelimit:wait': 'info',
+  'concurrency:wait': 'debug',
+  'offline:queued': 'info',
+  'offline:failed': 'warn',
+};
+
+// Sequence for interceptor handles
+let interceptorCount = 0;
+
+// Options merged key by key when a child client overrides them
+const NESTED_OPTIONS = [
+  'retryPolicy',
+  'circuitBreaker',
+  'rateLimit',
+  'graphql',
+  'offline',
+  'batch',
+  'metrics',
+  'cacheOptions',
+];
+
+// Auth state a child client shares with its parent
+const AUTH_FIELDS = [
+  'authToken',
+  'refreshToken',
+  'tokenExpiryTime',
+  'refreshHandler',
+  'oauth',
+  'refreshPromise',
+];
+
+// Offline queue state a child client shares with its parent
+const OFFLINE_FIELDS = [
+  'offlineConfig',
+  'offlineQueue',
+  'lastOfflineSeq',
+  'offlineSyncPromise',
+  'offlineRetryTimer',
+];
+
+/**
+ * Make a child client read and write fields on its parent
+ * @private
+ */
+function shareFields(child, parent, fields) {
+  fields.forEach((field) => {
+    Object.defineProperty(child, field, {
+      get: () => parent[field],
+      set: (value) => {
+        parent[field] = value;
+      },
+      enumerable: true,
+      configurable: true,
+    });
+  });
+}
+
+// Methods whose success makes cached GETs of the same resource stale
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Per-request headers that change the response, so GETs differing in them are never shared
+const DEDUPE_HEADERS = ['authorization', 'accept', 'accept-language', 'cookie'];
+
+/**
+ * Copy response data so callers, joiners and the cache never share one object
+ * Falls back to the shared value when it cannot be cloned (streams, functions).
+ * @private
+ */
+function cloneResponseData(data) {
+  if (data === null || typeof data !== 'object' || typeof structuredClone !== 'function') {
+    return data;
+  }
+  try {
+    return structuredClone(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+/**
+ * Fast non-cryptographic 53-bit string hash (cyrb53)
+ * Used to keep raw tokens out of cache keys.
+ * @private
+ */
+function fingerprint(input) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < input.length; i++) {
+    const char = input.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Headers never written to logs
+const SENSITIVE_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token',
+];
+
 class APIService {
   constructor(config = {}) {
+    this.options = config;
+    this.parent = null;
     this.baseURL = config.baseURL || '';
     this.timeout = config.timeout || 30000;
     this.maxRetries = config.maxRetries || 3;
     this.retryDelay = config.retryDelay || 1000;
+
+    // Default retry policy, overridable per request via `config.retry`
+    this.retryPolicy = {
+      maxRetries: this.maxRetries,
+      baseDelay: this.retryDelay,
+      maxDelay: 30000,
+      jitter: true, // Full jitter: wait a random time up to the backoff
+      statusCodes: [408, 429, 500, 502, 503, 504],
+      methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+      retryOnNetworkError: true,
+      respectRetryAfter: true,
+      autoIdempotencyKey: false, // Generate Idempotency-Key for POST/PATCH
+      ...config.retryPolicy,
+    };
+
+    // Per-host circuit breakers
+    this.circuitBreakerConfig = config.circuitBreaker
+      ? {
+          failureThreshold: 5,
+          resetTimeout: 30000,
+          halfOpenMaxRequests: 1,
+          ...(config.circuitBreaker === true ? {} : config.circuitBreaker),
+        }
+      : null;
+    this.circuits = new Map();
     this.cacheTTL = config.cacheTTL || 300000; // 5 minutes default
 
+    // Transport used to send requests; defaults to fetch
+    this.transport = config.transport || null;
+
+    // Request signer (see signing.js), overridable per request via `config.signer`
+    this.signer = config.signer || null;
+
     // Authentication configuration
     this.authToken = config.authToken || null;
     this.refreshToken = config.refreshToken || null;
     this.tokenExpiryTime = null;
+    this.refreshHandler = config.refreshHandler || null;
+    this.oauth = config.oauth || null; // { tokenEndpoint, clientId, clientSecret, scope }
+    this.refreshPromise = null;
+
+    // Event listeners
+    this.eventListeners = new Map();
+
+    // Observability: request IDs, metrics and structured logging
+    this.requestIdHeader = config.requestIdHeader ?? 'X-Request-ID';
+    this.metrics = new MetricsCollector(config.metrics);
+    this.logger = config.logger || null;
+    this.redactedHeaders = new Set(
+      [...SENSITIVE_HEADERS, ...(config.redactHeaders || [])].map((name) =>
+        name.toLowerCase()
+      )
+    );
 
     // Request/Response interceptors
     this.requestInterceptors = [];
@@ -23,15 +244,125 @@ class APIService {
     this.errorInterceptors = [];
 
     // Cache management
-    this.cache = new Map();
-    this.cacheTimers = new Map();
+    this.cacheStore = config.cacheStore || new MemoryCacheStore(config.cacheOptions);
+    this.staleWhileRevalidate = config.staleWhileRevalidate || false;
+    this.respectCacheHeaders = config.respectCacheHeaders !== false;
+    this.sharedCache = config.sharedCache || false;
+    this.validatorTTL = config.validatorTTL || 86400000; // Keep revalidatable entries for 24 hours
+    this.cacheIdentity = config.cacheIdentity || null; // (api) => user ID; defaults to the JWT subject
+    this.cacheVaryHeaders = config.cacheVaryHeaders || []; // Request headers that split cache entries
+    this.autoInvalidate = config.autoInvalidate !== false; // Mutations clear GETs of their resource
+
+    // In-flight request deduplication
+    this.inflightRequests = new Map();
+    this.dedupedRequestCount = 0;
+
+    // Cancellation groups (tag -> Set of AbortControllers)
+    this.cancelGroups = new Map();
 
     // Rate limiting
-    this.rateLimitConfig = config.rateLimit || {
+    this.rateLimitConfig = {
       maxRequests: 100,
       windowMs: 60000, // 1 minute
+      queue: false, // Wait for a free slot instead of throwing
+      maxQueueSize: Infinity,
+      scope: 'global', // 'global', 'host' or 'route'
+      limits: {}, // Per-host or per-route overrides keyed like the scope
+      respectServerLimits: true,
+      ...config.rateLimit,
+    };
+    this.rateLimitBuckets = new Map();
+
+    // Concurrency limiting: waiting requests are started in priority order
+    this.concurrencyConfig = {
+      maxConcurrent: config.maxConcurrent || Infinity,
+      maxConcurrentPerHost: config.maxConcurrentPerHost || Infinity, // Number, or { [host]: n, default: n }
+    };
+    this.activeRequests = { total: 0, hosts: new Map() };
+    this.concurrencyQueue = [];
+
+    // Batch endpoint; without one, `batch` sends items as individual requests
+    this.batchConfig = {
+      endpoint: null,
+      format: 'json', // 'json' or 'multipart'
+      maxBatchSize: 50,
+      ...config.batch,
     };
-    this.requestTimestamps = [];
+
+    // GraphQL client defaults
+    this.graphqlConfig = {
+      endpoint: '/graphql',
+      persistedQueries: false, // Send a SHA-256 hash first (Automatic Persisted Queries)
+      cache: true, // Cache whole query results by operation name and variables
+      ...config.graphql,
+    };
+
+    // Offline mode: mutations that fail for lack of connectivity are queued and replayed
+    this.offlineConfig = config.offline
+      ? {
+          methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+          conflictStatuses: [409, 412],
+          onConflict: null, // (entry, error) => config to resend with, or falsy to discard
+          autoReplay: true, // Replay when the browser reports it is back online
+          ...(config.offline === true ? {} : config.offline),
+        }
+      : null;
+    this.offlineQueue = this.offlineConfig
+      ? this.offlineConfig.store || createDefaultQueueStore()
+      : null;
+    this.lastOfflineSeq = 0;
+    this.offlineSyncPromise = null;
+    this.offlineRetryTimer = null;
+    this.onlineListener = null;
+    this.sharesOfflineQueue = false;
+
+    if (this.offlineConfig?.autoReplay && typeof globalThis.addEventListener === 'function') {
+      this.onlineListener = () => {
+        this.syncOfflineQueue().catch(() => {});
+      };
+      globalThis.addEventListener('online', this.onlineListener);
+    }
+  }
+
+  /**
+   * Create a child client
+   * The child starts from this client's options, shares its cache store and runs
+   * its interceptors before its own. Unless the overrides set their own auth, the
+   * child also shares auth state, so logins and token refreshes apply to both.
+   * Unless the overrides set `offline`, the child also shares the offline queue, so
+   * one listener replays every mutation in order; queued URLs are stored resolved,
+   * so they still reach the child's baseURL.
+   * @param {Object} overrides - Options to change; nested option objects are merged
+   * @returns {APIService} Child client
+   */
+  create(overrides = {}) {
+    const options = { ...this.options, cacheStore: this.cacheStore, ...overrides };
+    NESTED_OPTIONS.forEach((key) => {
+      const inherited = this.options[key];
+      const override = overrides[key];
+      if (inherited && typeof inherited === 'object' && override && typeof override === 'object') {
+        options[key] = { ...inherited, ...override };
+      }
+    });
+
+    const child = new APIService(options);
+    child.parent = this;
+
+    const ownsAuth = ['authToken', 'refreshToken', 'refreshHandler', 'oauth'].some(
+      (key) => key in overrides
+    );
+    if (!ownsAuth) {
+      shareFields(child, this, AUTH_FIELDS);
+    }
+
+    if (!('offline' in overrides) && this.offlineConfig) {
+      // Drop the child's own listener before it starts sharing the parent's queue
+      child.destroy();
+      shareFields(child, this, OFFLINE_FIELDS);
+      child.sharesOfflineQueue = true;
+    }
+
+    return child;
   }
 
   /**
@@ -41,6 +372,39 @@ class APIService {
    */
   setAuthToken(token, type = 'Bearer') {
     this.authToken = { token, type };
+
+    // Pick up the expiry from JWT access tokens automatically
+    const expiry = this.decodeTokenExpiry(token);
+    if (expiry) {
+      this.tokenExpiryTime = expiry;
+    }
+  }
+
+  /**
+   * Read the claims of a JWT without verifying it
+   * @private
+   * @returns {Object|null} Claims, or null for opaque tokens
+   */
+  decodeTokenClaims(token) {
+    if (typeof token !== 'string' || token.split('.').length !== 3) return null;
+
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      const claims = JSON.parse(atob(payload));
+      return claims && typeof claims === 'object' ? claims : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the `exp` claim from a JWT
+   * @private
+   * @returns {number|null} Expiry timestamp in milliseconds
+   */
+  decodeTokenExpiry(token) {
+    const claims = this.decodeTokenClaims(token);
+    return typeof claims?.exp === 'number' ? claims.exp * 1000 : null;
   }
 
   /**
@@ -63,328 +427,2902 @@ class APIService {
   }
 
   /**
-   * Register request interceptor
-   * @param {Function} callback - Interceptor function
+   * Check whether the token can be renewed
+   * @private
    */
-  addRequestInterceptor(callback) {
-    this.requestInterceptors.push(callback);
+  canRefreshToken() {
+    return Boolean(this.refreshHandler || (this.oauth?.tokenEndpoint && this.refreshToken));
   }
 
   /**
-   * Register response interceptor
-   * @param {Function} callback - Interceptor function
+   * Refresh after a 401 unless another request already replaced the token it was sent with
+   * @private
+   * @param {Object|null} sentWith - authToken at the time the request was sent
+   */
+  async refreshAfterUnauthorized(sentWith) {
+    if (!this.authToken || this.authToken === sentWith) {
+      await this.refreshAuthToken();
+    }
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name (e.g. 'authExpired', 'tokenRefreshed')
+   * @param {Function} handler - Event handler
+   * @returns {Function} Unsubscribe function
    */
-  addResponseInterceptor(callback) {
-    this.responseInterceptors.push(callback);
+  on(event, handler) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(handler);
+    return () => this.off(event, handler);
   }
 
   /**
-   * Register error interceptor
-   * @param {Function} callback - Interceptor function
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Previously registered handler
    */
-  addErrorInterceptor(callback) {
-    this.errorInterceptors.push(callback);
+  off(event, handler) {
+    this.eventListeners.get(event)?.delete(handler);
   }
 
   /**
-   * Execute request interceptors
+   * Notify event listeners
    * @private
    */
-  async executeRequestInterceptors(config) {
-    for (const interceptor of this.requestInterceptors) {
-      config = await interceptor(config);
+  emit(event, payload) {
+    if (this.logger && LOGGED_EVENTS[event]) {
+      this.logger[LOGGED_EVENTS[event]]?.({ event, ...this.redactPayload(payload) });
     }
-    return config;
+
+    this.eventListeners.get(event)?.forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (e) {
+        console.error(`Error in "${event}" listener:`, e);
+      }
+    });
   }
 
   /**
-   * Execute response interceptors
+   * Prepare an event payload for logging: redact headers and serialize errors
    * @private
    */
-  async executeResponseInterceptors(response) {
-    for (const interceptor of this.responseInterceptors) {
-      response = await interceptor(response);
+  redactPayload(payload = {}) {
+    const entry = { ...payload };
+
+    if (entry.headers) {
+      entry.headers = this.redactHeaders(entry.headers);
     }
-    return response;
+    if (entry.error) {
+      entry.error =
+        typeof entry.error.toJSON === 'function'
+          ? entry.error.toJSON()
+          : { name: entry.error.name, message: entry.error.message };
+    }
+
+    return entry;
   }
 
   /**
-   * Execute error interceptors
+   * Replace sensitive header values with a placeholder
    * @private
    */
-  async executeErrorInterceptors(error) {
-    for (const interceptor of this.errorInterceptors) {
-      error = await interceptor(error);
-    }
-    return error;
+  redactHeaders(headers) {
+    const plain =
+      typeof headers.entries === 'function'
+        ? Object.fromEntries(headers.entries())
+        : { ...headers };
+
+    Object.keys(plain).forEach((name) => {
+      if (this.redactedHeaders.has(name.toLowerCase())) {
+        plain[name] = '[REDACTED]';
+      }
+    });
+    return plain;
   }
 
   /**
-   * Check rate limiting
+   * Generate a unique identifier for request IDs and idempotency keys
    * @private
    */
-  checkRateLimit() {
-    const now = Date.now();
-    const windowStart = now - this.rateLimitConfig.windowMs;
+  generateId() {
+    return globalThis.crypto?.randomUUID?.() || generateSecureRandomString(16);
+  }
 
-    // Remove old timestamps outside the window
-    this.requestTimestamps = this.requestTimestamps.filter(
-      (timestamp) => timestamp > windowStart
-    );
+  /**
+   * Resolve a request URL against the base URL
+   * @param {string} url - Relative, protocol-relative or absolute URL
+   * @returns {string} Absolute URL
+   */
+  resolveURL(url) {
+    if (isAbsoluteURL(url)) return escapeURL(url);
 
-    if (this.requestTimestamps.length >= this.rateLimitConfig.maxRequests) {
-      const oldestRequest = this.requestTimestamps[0];
-      const waitTime = this.rateLimitConfig.windowMs - (now - oldestRequest);
-      throw new Error(
-        `Rate limit exceeded. Please wait ${Math.ceil(waitTime / 1000)} seconds.`
-      );
+    // Protocol-relative URLs take the scheme of the base URL or the page
+    if (isProtocolRelativeURL(url)) {
+      const base = this.parseURL(this.baseURL || globalThis.location?.href || 'https:');
+      return escapeURL(`${base?.protocol || 'https:'}${url}`);
     }
 
-    this.requestTimestamps.push(now);
+    return escapeURL(joinURL(this.baseURL, url));
   }
 
   /**
-   * Generate cache key
+   * Start tracing a request: assign its ID and emit `request:start`
    * @private
+   * @returns {Object} Trace with the config to use for the request
    */
-  generateCacheKey(url, config) {
-    const method = (config.method || 'GET').toUpperCase();
-    const params = config.params ? JSON.stringify(config.params) : '';
-    return `${method}:${url}:${params}`;
+  startTrace(url, config) {
+    const existingId =
+      config.requestId ||
+      (this.requestIdHeader && this.getHeader(config.headers, this.requestIdHeader));
+    const trace = {
+      requestId: existingId || this.generateId(),
+      method: (config.method || 'GET').toUpperCase(),
+      url: this.resolveURL(url),
+      startedAt: Date.now(),
+      attempts: 0,
+      networkTime: 0,
+      rateLimitWait: 0,
+      concurrencyWait: 0,
+    };
+    trace.route = config.metricsRoute || getRouteKey(trace.method, trace.url);
+
+    const headers = { ...config.headers };
+    if (this.requestIdHeader && !existingId) {
+      headers[this.requestIdHeader] = trace.requestId;
+    }
+    trace.config = { ...config, headers, trace };
+
+    this.emit('request:start', {
+      requestId: trace.requestId,
+      method: trace.method,
+      url: trace.url,
+      headers,
+    });
+
+    return trace;
   }
 
   /**
-   * Get cached response if available
+   * Timing breakdown of a traced request
    * @private
    */
-  getFromCache(cacheKey) {
-    if (this.cache.has(cacheKey)) {
-      const cachedData = this.cache.get(cacheKey);
-      return {
-        ...cachedData,
-        fromCache: true,
-      };
-    }
-    return null;
+  getTimings(trace) {
+    const total = Date.now() - trace.startedAt;
+    return {
+      total,
+      rateLimitWait: trace.rateLimitWait,
+      concurrencyWait: trace.concurrencyWait,
+      network: trace.networkTime,
+      attempts: trace.attempts,
+    };
   }
 
   /**
-   * Store response in cache
+   * Finish a trace successfully: record metrics and emit `request:end`
    * @private
    */
-  setCache(cacheKey, data, ttl = this.cacheTTL) {
-    // Clear existing timer if any
-    if (this.cacheTimers.has(cacheKey)) {
-      clearTimeout(this.cacheTimers.get(cacheKey));
-    }
+  finishTrace(trace, response) {
+    const timings = this.getTimings(trace);
+    this.metrics.record(trace.route, {
+      duration: timings.total,
+      fromCache: Boolean(response.fromCache),
+    });
 
-    this.cache.set(cacheKey, data);
+    this.emit('request:end', {
+      requestId: trace.requestId,
+      method: trace.method,
+      url: trace.url,
+      status: response.status,
+      fromCache: Boolean(response.fromCache),
+      deduped: Boolean(response.deduped),
+      duration: timings.total,
+      timings,
+    });
+  }
 
-    // Set cache expiry timer
-    const timer = setTimeout(() => {
-      this.cache.delete(cacheKey);
-      this.cacheTimers.delete(cacheKey);
-    }, ttl);
+  /**
+   * Finish a trace with an error: record metrics and emit `request:error`
+   * @private
+   */
+  failTrace(trace, error) {
+    trace.failed = true;
+    const timings = this.getTimings(trace);
+    this.metrics.record(trace.route, { duration: timings.total, error: true });
 
-    this.cacheTimers.set(cacheKey, timer);
+    this.emit('request:error', {
+      requestId: trace.requestId,
+      method: trace.method,
+      url: trace.url,
+      status: error?.status,
+      error,
+      duration: timings.total,
+      timings,
+    });
   }
 
   /**
-   * Clear specific cache entry
-   * @param {string} cacheKey - Cache key to clear
+   * Get request metrics
+   * @returns {Object} { totals, routes } with counts, error rates and latency percentiles per route
    */
-  clearCache(cacheKey) {
-    if (this.cacheTimers.has(cacheKey)) {
-      clearTimeout(this.cacheTimers.get(cacheKey));
-      this.cacheTimers.delete(cacheKey);
-    }
-    this.cache.delete(cacheKey);
+  getMetrics() {
+    return this.metrics.snapshot();
   }
 
   /**
-   * Clear all cache
+   * Clear collected request metrics
    */
-  clearAllCache() {
-    this.cacheTimers.forEach((timer) => clearTimeout(timer));
-    this.cacheTimers.clear();
-    this.cache.clear();
+  resetMetrics() {
+    this.metrics.reset();
   }
 
   /**
-   * Build fetch configuration
+   * Register request interceptor
+   * @param {Function} callback - (config) => config
+   * @param {Object} options - { priority, url, method } - see registerInterceptor
+   * @returns {Object} Handle whose eject() removes the interceptor
+   */
+  addRequestInterceptor(callback, options = {}) {
+    return this.registerInterceptor(this.requestInterceptors, callback, options);
+  }
+
+  /**
+   * Register response interceptor
+   * @param {Function} callback - (response, { url, method, config }) => response
+   * @param {Object} options - { priority, url, method } - see registerInterceptor
+   * @returns {Object} Handle whose eject() removes the interceptor
+   */
+  addResponseInterceptor(callback, options = {}) {
+    return this.registerInterceptor(this.responseInterceptors, callback, options);
+  }
+
+  /**
+   * Register error interceptor
+   * Return an error to pass it on, or any other value to recover: that value
+   * becomes the response of the request and later error interceptors are skipped.
+   * @param {Function} callback - (error) => error | response
+   * @param {Object} options - { priority, url, method } - see registerInterceptor
+   * @returns {Object} Handle whose eject() removes the interceptor
+   */
+  addErrorInterceptor(callback, options = {}) {
+    return this.registerInterceptor(this.errorInterceptors, callback, options);
+  }
+
+  /**
+   * Add an interceptor to a chain
    * @private
+   * @param {Array} list - Chain to add to
+   * @param {Function} handler - Interceptor function
+   * @param {Object} options - Registration options
+   * @param {number} options.priority - Higher priorities run first; ties run in registration order
+   * @param {string|RegExp|Function} options.url - Only run for URLs starting with this path
+   *   (resolved against baseURL), matching this RegExp or accepted by this predicate
+   * @param {string|string[]} options.method - Only run for these HTTP methods
+   * @returns {Object} { id, eject }
    */
-  buildFetchConfig(url, config = {}) {
-    const method = (config.method || 'GET').toUpperCase();
-    const headers = {
-      'Content-Type': 'application/json',
-      ...config.headers,
+  registerInterceptor(list, handler, options = {}) {
+    const entry = {
+      id: ++interceptorCount,
+      handler,
+      priority: options.priority || 0,
+      url: typeof options.url === 'string' ? this.resolveURL(options.url) : options.url,
+      methods: options.method
+        ? [].concat(options.method).map((method) => method.toUpperCase())
+        : null,
     };
+    list.push(entry);
 
-    // Add authentication header if token is available
-    if (this.authToken) {
-      headers.Authorization = `${this.authToken.type} ${this.authToken.token}`;
-    }
-
-    const fetchConfig = {
-      method,
-      headers,
-      signal: this.createAbortSignal(this.timeout),
+    return {
+      id: entry.id,
+      eject: () => {
+        const index = list.indexOf(entry);
+        if (index !== -1) list.splice(index, 1);
+        return index !== -1;
+      },
     };
+  }
 
-    // Add body for non-GET requests
-    if (method !== 'GET' && config.data) {
-      fetchConfig.body = JSON.stringify(config.data);
-    }
+  /**
+   * Get the interceptors of a chain that apply to a request, in run order
+   * Interceptors inherited from parent clients come before the client's own.
+   * @private
+   */
+  getInterceptors(type, url, method = 'GET') {
+    const own = {
+      request: this.requestInterceptors,
+      response: this.responseInterceptors,
+      error: this.errorInterceptors,
+    }[type];
+    const inherited = this.parent ? this.parent.getInterceptors(type, url, method) : [];
 
-    // Add query parameters
-    if (config.params) {
-      const queryString = new URLSearchParams(config.params).toString();
-      url = `${url}${queryString ? '?' + queryString : ''}`;
+    return [
+      ...inherited,
+      ...own.filter((entry) => this.matchesInterceptor(entry, url, method)),
+    ].sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Check an interceptor's URL and method filters
+   * @private
+   */
+  matchesInterceptor(entry, url, method) {
+    if (entry.methods && !entry.methods.includes(method.toUpperCase())) return false;
+    if (!entry.url) return true;
+    if (!url) return false;
+
+    if (entry.url instanceof RegExp) {
+      entry.url.lastIndex = 0;
+      return entry.url.test(url);
     }
+    if (typeof entry.url === 'function') return Boolean(entry.url(url));
+    return url.startsWith(entry.url);
+  }
 
-    return { url, fetchConfig };
+  /**
+   * Execute request interceptors
+   * @private
+   */
+  async executeRequestInterceptors(config) {
+    for (const { handler } of this.getInterceptors('request', config.url, config.method)) {
+      config = await handler(config);
+    }
+    return config;
   }
 
   /**
-   * Create abort signal with timeout
+   * Execute response interceptors
    * @private
    */
-  createAbortSignal(timeout) {
-    const controller = new AbortController();
-    setTimeout(() => controller.abort(), timeout);
-    return controller.signal;
+  async executeResponseInterceptors(response, context = {}) {
+    for (const { handler } of this.getInterceptors('response', context.url, context.method)) {
+      response = await handler(response, context);
+    }
+    return response;
   }
 
   /**
-   * Handle response
+   * Execute error interceptors
+   * Only a value an interceptor returns in place of the error counts as a
+   * recovery; whatever was thrown, Error or not, is otherwise rethrown.
    * @private
+   * @returns {Promise<Object>} { recovered: true, response } or { recovered: false, error }
    */
-  async handleResponse(response) {
-    const contentType = response.headers.get('content-type');
-    let data;
+  async executeErrorInterceptors(error) {
+    const url = error?.url;
+    const method = error?.config?.method;
 
-    if (contentType && contentType.includes('application/json')) {
-      data = await response.json();
-    } else if (contentType && contentType.includes('text')) {
-      data = await response.text();
-    } else {
-      data = await response.blob();
+    for (const { handler } of this.getInterceptors('error', url, method)) {
+      const result = await handler(error);
+      if (result === undefined || result === error) continue;
+      if (!(result instanceof Error)) return { recovered: true, response: result };
+      error = result;
     }
+    return { recovered: false, error };
+  }
 
-    if (!response.ok) {
-      const error = new Error(
-        data.message || `HTTP Error: ${response.status}`
-      );
-      error.status = response.status;
-      error.data = data;
-      error.headers = response.headers;
-      throw error;
-    }
+  /**
+   * Resolve the rate limit bucket key for a URL
+   * @private
+   */
+  getRateLimitKey(url) {
+    const { scope } = this.rateLimitConfig;
+    if (scope === 'global' || !url) return 'global';
 
-    return {
-      status: response.status,
-      statusText: response.statusText,
-      headers: response.headers,
-      data,
-      fromCache: false,
-    };
+    const parsed = this.parseURL(url);
+    if (!parsed) return 'global';
+    return scope === 'route' ? `${parsed.host}${parsed.pathname}` : parsed.host;
   }
 
   /**
-   * Retry logic with exponential backoff
+   * Parse a possibly relative URL
    * @private
+   * @returns {URL|null} Parsed URL
    */
-  async retryRequest(url, config, attempt = 0) {
+  parseURL(url) {
     try {
-      return await this.performRequest(url, config);
-    } catch (error) {
-      if (attempt < this.maxRetries && this.isRetryableError(error)) {
-        const delay = this.retryDelay * Math.pow(2, attempt);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        return this.retryRequest(url, config, attempt + 1);
-      }
-      throw error;
+      return new URL(url, globalThis.location?.href || 'http://localhost');
+    } catch (e) {
+      return null;
     }
   }
 
   /**
-   * Check if error is retryable
+   * Get (or create) the rate limit bucket for a URL
    * @private
    */
-  isRetryableError(error) {
-    // Retry on network errors and 5xx status codes
-    if (!error.status) return true; // Network error
-    return error.status >= 500;
+  getRateLimitBucket(url) {
+    const key = this.getRateLimitKey(url);
+
+    if (!this.rateLimitBuckets.has(key)) {
+      this.rateLimitBuckets.set(key, this.createRateLimitBucket(key));
+    }
+
+    return this.rateLimitBuckets.get(key);
   }
 
   /**
-   * Perform the actual fetch request
+   * Build an empty rate limit bucket with the limits configured for a key
    * @private
    */
-  async performRequest(url, config) {
-    let { url: fullUrl, fetchConfig } = this.buildFetchConfig(url, config);
+  createRateLimitBucket(key) {
+    const override = this.rateLimitConfig.limits[key] || {};
+    return {
+      key,
+      maxRequests: override.maxRequests || this.rateLimitConfig.maxRequests,
+      windowMs: override.windowMs || this.rateLimitConfig.windowMs,
+      timestamps: [],
+      queue: [],
+      timer: null,
+      server: { limit: null, remaining: null, resetAt: null, blockedUntil: null },
+    };
+  }
 
-    // Apply request interceptors
-    const interceptedConfig = await this.executeRequestInterceptors({
-      url: fullUrl,
-      ...fetchConfig,
-      originalConfig: config,
-    });
+  /**
+   * Milliseconds until the bucket can send another request
+   * @private
+   */
+  getRateLimitDelay(bucket, now = Date.now()) {
+    const windowStart = now - bucket.windowMs;
 
-    const response = await fetch(
-      interceptedConfig.url,
-      interceptedConfig
+    // Remove old timestamps outside the window
+    bucket.timestamps = bucket.timestamps.filter(
+      (timestamp) => timestamp > windowStart
     );
-    let result = await this.handleResponse(response);
-
-    // Apply response interceptors
-    result = await this.executeResponseInterceptors(result);
 
-    return result;
+    const { server } = bucket;
+    if (server.blockedUntil && server.blockedUntil > now) {
+      return server.blockedUntil - now;
+    }
+    if (server.remaining === 0 && server.resetAt && server.resetAt > now) {
+      return server.resetAt - now;
+    }
+    if (bucket.timestamps.length >= bucket.maxRequests) {
+      return bucket.windowMs - (now - bucket.timestamps[0]);
+    }
+    return 0;
   }
 
   /**
-   * Main request method
-   * @param {string} url - Request URL
-   * @param {Object} config - Request configuration
+   * Record a request against the bucket
+   * @private
+   */
+  consumeRateLimitSlot(bucket) {
+    bucket.timestamps.push(Date.now());
+    if (bucket.server.remaining > 0) {
+      bucket.server.remaining--;
+    }
+  }
+
+  /**
+   * Check rate limiting
+   * @private
+   */
+  checkRateLimit(url) {
+    const bucket = this.getRateLimitBucket(url);
+    const waitTime = this.getRateLimitDelay(bucket);
+
+    if (waitTime > 0) {
+      throw new RateLimitError(
+        `Rate limit exceeded. Please wait ${Math.ceil(waitTime / 1000)} seconds.`,
+        { url, retryAfter: waitTime }
+      );
+    }
+
+    this.consumeRateLimitSlot(bucket);
+  }
+
+  /**
+   * Take a rate limit slot, queueing until one frees up when queue mode is on
+   * @private
+   */
+  async acquireRateLimit(url, config = {}) {
+    if (!this.rateLimitConfig.queue) {
+      this.checkRateLimit(url);
+      return;
+    }
+
+    const bucket = this.getRateLimitBucket(url);
+    if (bucket.queue.length >= this.rateLimitConfig.maxQueueSize) {
+      throw new RateLimitError('Rate limit queue is full', { url, config });
+    }
+
+    const { signal } = config;
+    if (signal?.aborted) throw this.toCancelError(signal.reason);
+
+    const waitTime = this.getRateLimitDelay(bucket);
+    if (waitTime > 0 || bucket.queue.length > 0) {
+      this.emit('ratelimit:wait', {
+        requestId: config.trace?.requestId,
+        url,
+        bucket: bucket.key,
+        waitTime,
+        queueDepth: bucket.queue.length + 1,
+      });
+    }
+
+    const queuedAt = Date.now();
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          bucket.queue.splice(bucket.queue.indexOf(waiter), 1);
+          reject(this.toCancelError(signal.reason));
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      waiter.signal = signal;
+      bucket.queue.push(waiter);
+      this.drainRateLimitQueue(bucket);
+    });
+
+    if (config.trace) {
+      config.trace.rateLimitWait += Date.now() - queuedAt;
+    }
+  }
+
+  /**
+   * Release queued requests as slots become available
+   * @private
+   */
+  drainRateLimitQueue(bucket) {
+    if (bucket.timer) return;
+
+    while (bucket.queue.length > 0) {
+      const delay = this.getRateLimitDelay(bucket);
+      if (delay > 0) {
+        bucket.timer = setTimeout(() => {
+          bucket.timer = null;
+          this.drainRateLimitQueue(bucket);
+        }, delay);
+        return;
+      }
+
+      const waiter = bucket.queue.shift();
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      this.consumeRateLimitSlot(bucket);
+      waiter.resolve();
+    }
+  }
+
+  /**
+   * Get the concurrency limit for a host
+   * @private
+   */
+  getHostConcurrencyLimit(host) {
+    const limit = this.concurrencyConfig.maxConcurrentPerHost;
+    if (typeof limit === 'number') return limit;
+    return limit[host] ?? limit.default ?? Infinity;
+  }
+
+  /**
+   * Check whether a request to a host can start now
+   * @private
+   */
+  hasConcurrencySlot(host) {
+    return (
+      this.activeRequests.total < this.concurrencyConfig.maxConcurrent &&
+      (this.activeRequests.hosts.get(host) || 0) < this.getHostConcurrencyLimit(host)
+    );
+  }
+
+  /**
+   * Occupy a concurrency slot
+   * @private
+   * @returns {Function} Releases the slot; safe to call more than once
+   */
+  takeConcurrencySlot(host) {
+    const { hosts } = this.activeRequests;
+    this.activeRequests.total++;
+    hosts.set(host, (hosts.get(host) || 0) + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.activeRequests.total--;
+      if (hosts.get(host) <= 1) hosts.delete(host);
+      else hosts.set(host, hosts.get(host) - 1);
+      this.drainConcurrencyQueue();
+    };
+  }
+
+  /**
+   * Wait for a concurrency slot
+   * @private
+   * @returns {Promise<Function>} Releases the slot
+   */
+  async acquireConcurrencySlot(url, config = {}) {
+    const host = this.parseURL(url)?.host || '';
+    const { signal } = config;
+    if (signal?.aborted) throw this.toCancelError(signal.reason);
+
+    const queuedAt = Date.now();
+    const release = await new Promise((resolve, reject) => {
+      const waiter = { host, priority: config.priority || 0, resolve, reject, signal };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          this.concurrencyQueue.splice(this.concurrencyQueue.indexOf(waiter), 1);
+          reject(this.toCancelError(signal.reason));
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      // Keep the queue ordered by priority, first come first served within one
+      const index = this.concurrencyQueue.findIndex((queued) => queued.priority < waiter.priority);
+      this.concurrencyQueue.splice(index === -1 ? this.concurrencyQueue.length : index, 0, waiter);
+      this.drainConcurrencyQueue();
+
+      if (this.concurrencyQueue.includes(waiter)) {
+        this.emit('concurrency:wait', {
+          requestId: config.trace?.requestId,
+          url,
+          host,
+          priority: waiter.priority,
+          queueDepth: this.concurrencyQueue.length,
+        });
+      }
+    });
+
+    if (config.trace) {
+      config.trace.concurrencyWait += Date.now() - queuedAt;
+    }
+    return release;
+  }
+
+  /**
+   * Start queued requests while slots are free
+   * Waiters for a saturated host are skipped so they do not block other hosts.
+   * @private
+   */
+  drainConcurrencyQueue() {
+    let index = 0;
+    while (
+      index < this.concurrencyQueue.length &&
+      this.activeRequests.total < this.concurrencyConfig.maxConcurrent
+    ) {
+      const waiter = this.concurrencyQueue[index];
+      if (!this.hasConcurrencySlot(waiter.host)) {
+        index++;
+        continue;
+      }
+
+      this.concurrencyQueue.splice(index, 1);
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      waiter.resolve(this.takeConcurrencySlot(waiter.host));
+    }
+  }
+
+  /**
+   * Update a bucket from Retry-After and X-RateLimit-* response headers
+   * @private
+   */
+  updateRateLimitFromResponse(url, response) {
+    if (!this.rateLimitConfig.respectServerLimits || !response?.headers) return;
+
+    const { headers } = response;
+    const bucket = this.getRateLimitBucket(url);
+    const now = Date.now();
+
+    const limit = parseInt(
+      headers.get('x-ratelimit-limit') ?? headers.get('ratelimit-limit'),
+      10
+    );
+    const remaining = parseInt(
+      headers.get('x-ratelimit-remaining') ?? headers.get('ratelimit-remaining'),
+      10
+    );
+    const reset = this.parseRateLimitReset(
+      headers.get('x-ratelimit-reset') ?? headers.get('ratelimit-reset'),
+      now
+    );
+    const retryAfter = this.parseRetryAfter(headers.get('retry-after'), now);
+
+    if (!isNaN(limit)) bucket.server.limit = limit;
+    if (!isNaN(remaining)) bucket.server.remaining = remaining;
+    if (reset) bucket.server.resetAt = reset;
+
+    if (retryAfter) {
+      bucket.server.blockedUntil = retryAfter;
+    } else if (response.status === 429) {
+      // No hint from the server - back off until the reset or for one second
+      bucket.server.blockedUntil = reset || now + 1000;
+    }
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @private
+   * @returns {number|null} Timestamp after which requests may resume
+   */
+  parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return now + seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : date;
+  }
+
+  /**
+   * Parse a rate limit reset header (epoch seconds or seconds from now)
+   * @private
+   */
+  parseRateLimitReset(value, now = Date.now()) {
+    const seconds = Number(value);
+    if (value === null || value === undefined || isNaN(seconds)) return null;
+    // Values this large are Unix timestamps rather than deltas
+    return seconds > 1e9 ? seconds * 1000 : now + seconds * 1000;
+  }
+
+  /**
+   * Generate cache key
+   * Keys include the auth identity, so one user's responses are never served
+   * to another, and the values of the configured Vary headers.
+   * @private
+   */
+  generateCacheKey(url, config) {
+    const method = (config.method || 'GET').toUpperCase();
+    const params = config.params ? JSON.stringify(config.params) : '';
+    const vary = this.getVaryKey(config);
+    return `${method}:${url}:${params}:${this.getCacheIdentity()}${vary ? `:${vary}` : ''}`;
+  }
+
+  /**
+   * Build the key that identical in-flight GETs share
+   * Extends the cache key with headers such as Authorization and Accept, so a
+   * request never receives a response negotiated for different headers.
+   * @private
+   */
+  getDedupeKey(cacheKey, config) {
+    const headers = DEDUPE_HEADERS.map(
+      (name) => `${name}=${this.getHeader(config.headers, name) ?? ''}`
+    ).join('&');
+    return `${cacheKey}:${fingerprint(headers)}`;
+  }
+
+  /**
+   * Identify whose responses are being cached
+   * @private
+   */
+  getCacheIdentity() {
+    if (this.cacheIdentity) {
+      return String(this.cacheIdentity(this) ?? 'anonymous');
+    }
+    if (!this.authToken) return 'anonymous';
+
+    // A refreshed JWT keeps its subject, so the user's cached entries stay reachable;
+    // opaque tokens have nothing stable to key on
+    const claims = this.decodeTokenClaims(this.authToken.token);
+    if (claims?.sub !== undefined) {
+      return fingerprint(`${claims.iss ?? ''} ${claims.sub}`);
+    }
+    return fingerprint(`${this.authToken.type} ${this.authToken.token}`);
+  }
+
+  /**
+   * Build the part of a cache key taken from Vary headers
+   * @private
+   */
+  getVaryKey(config) {
+    const names = [...this.cacheVaryHeaders, ...(config.varyHeaders || [])];
+    return [...new Set(names.map((name) => name.toLowerCase()))]
+      .sort()
+      .map((name) => `${name}=${this.getHeader(config.headers, name) ?? ''}`)
+      .join('&');
+  }
+
+  /**
+   * Get cached response if available
+   * @private
+   * @returns {Promise<Object|null>} Cached response, flagged `stale` once past its TTL
+   */
+  async getFromCache(cacheKey) {
+    const entry = await this.cacheStore.get(cacheKey);
+    if (!entry) return null;
+
+    const { value } = entry;
+    return {
+      ...value,
+      data: cloneResponseData(value.data),
+      headers: this.deserializeHeaders(value.headers),
+      fromCache: true,
+      stale: Date.now() > entry.expiresAt,
+    };
+  }
+
+  /**
+   * Store response in cache
+   * @private
+   * @param {Object} meta - { url, method, tags } used to find the entry on invalidation
+   */
+  async setCache(cacheKey, data, ttl = this.cacheTTL, staleWindow = 0, meta = null) {
+    const now = Date.now();
+    const expiresAt = now + ttl;
+
+    // Entries with validators stay around so they can be revalidated with a 304
+    if (data.headers?.get?.('etag') || data.headers?.get?.('last-modified')) {
+      staleWindow = Math.max(staleWindow, this.validatorTTL);
+    }
+
+    await this.cacheStore.set(cacheKey, {
+      value: {
+        ...data,
+        data: cloneResponseData(data.data),
+        headers: this.serializeHeaders(data.headers),
+        fromCache: false,
+      },
+      storedAt: now,
+      expiresAt,
+      staleUntil: expiresAt + staleWindow,
+      ...(meta ? { meta } : {}),
+    });
+  }
+
+  /**
+   * Store a response according to its Cache-Control and Expires headers
+   * @private
+   */
+  async cacheResponse(cacheKey, response, config, staleWindow, url) {
+    const ttl = this.getCacheLifetime(response.headers, config);
+
+    if (ttl === null) {
+      await this.cacheStore.delete(cacheKey);
+      return;
+    }
+
+    await this.setCache(cacheKey, response, ttl, staleWindow, {
+      url,
+      method: (config.method || 'GET').toUpperCase(),
+      tags: config.cacheTags || [],
+    });
+  }
+
+  /**
+   * Work out how long a response stays fresh
+   * @private
+   * @returns {number|null} Lifetime in milliseconds, or null if it must not be stored
+   */
+  getCacheLifetime(headers, config = {}) {
+    if (!this.respectCacheHeaders || !headers?.get) {
+      return config.cacheTTL ?? this.cacheTTL;
+    }
+
+    const directives = this.parseCacheControl(headers.get('cache-control'));
+
+    if ('no-store' in directives) return null;
+    if ('private' in directives && this.sharedCache) return null;
+    if (config.cacheTTL !== undefined) return config.cacheTTL;
+    if ('no-cache' in directives) return 0;
+
+    const age = parseInt(headers.get('age'), 10) || 0;
+    const sharedMaxAge = this.sharedCache ? directives['s-maxage'] : undefined;
+    const maxAge = sharedMaxAge ?? directives['max-age'];
+
+    if (maxAge !== undefined) {
+      const seconds = parseInt(maxAge, 10);
+      if (!isNaN(seconds)) return Math.max(0, (seconds - age) * 1000);
+    }
+
+    const expires = headers.get('expires');
+    if (expires) {
+      const expiresAt = Date.parse(expires);
+      // An invalid Expires value (e.g. "0") means already expired
+      if (isNaN(expiresAt)) return 0;
+      const serverDate = Date.parse(headers.get('date')) || Date.now();
+      return Math.max(0, expiresAt - serverDate);
+    }
+
+    return this.cacheTTL;
+  }
+
+  /**
+   * Parse a Cache-Control header into a directive map
+   * @private
+   */
+  parseCacheControl(header) {
+    const directives = {};
+    if (!header) return directives;
+
+    header.split(',').forEach((part) => {
+      const [name, value] = part.trim().split('=');
+      if (name) {
+        directives[name.toLowerCase()] = value
+          ? value.replace(/^"|"$/g, '')
+          : true;
+      }
+    });
+
+    return directives;
+  }
+
+  /**
+   * Add conditional request headers from a cached response
+   * @private
+   */
+  withValidators(config, cachedResponse) {
+    const etag = cachedResponse.headers?.get?.('etag');
+    const lastModified = cachedResponse.headers?.get?.('last-modified');
+    if (!etag && !lastModified) return config;
+
+    const headers = { ...config.headers };
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    return { ...config, headers, cachedResponse };
+  }
+
+  /**
+   * Resolve how long an expired entry may still be served while revalidating
+   * @private
+   */
+  getStaleWindow(config) {
+    const option = config.staleWhileRevalidate ?? this.staleWhileRevalidate;
+    if (!option) return 0;
+    return option === true ? this.cacheTTL : option;
+  }
+
+  /**
+   * Convert Headers into a plain object so entries can be persisted
+   * @private
+   */
+  serializeHeaders(headers) {
+    if (!headers) return {};
+    if (typeof headers.entries === 'function') {
+      return Object.fromEntries(headers.entries());
+    }
+    return { ...headers };
+  }
+
+  /**
+   * Restore a Headers instance from a persisted plain object
+   * @private
+   */
+  deserializeHeaders(headers) {
+    if (typeof Headers !== 'undefined') {
+      return new Headers(headers || {});
+    }
+    return headers;
+  }
+
+  /**
+   * Build the cache key a request is stored under
+   * @param {string} url - Request URL
+   * @param {Object} config - Request configuration (method, params, headers)
+   * @returns {string} Key in the form METHOD:url:params:identity[:vary]
+   */
+  getCacheKey(url, config = {}) {
+    return this.generateCacheKey(this.resolveURL(url), config);
+  }
+
+  /**
+   * Clear specific cache entry
+   * Accepts a request URL (with its config) or a key; keys in the older
+   * METHOD:url:params form also clear the current identity's entry.
+   * The in-memory store clears at once; await the result for persistent stores.
+   * @param {string} target - Request URL or cache key
+   * @param {Object} config - Request configuration when target is a URL
+   * @returns {Promise<void>}
+   */
+  clearCache(target, config = {}) {
+    const keys = /^[A-Z]+:/.test(target)
+      ? [target, `${target}:${this.getCacheIdentity()}`]
+      : [this.getCacheKey(target, config)];
+    return Promise.all(keys.map((key) => this.cacheStore.delete(key))).then(() => {});
+  }
+
+  /**
+   * Read every live cache entry in one pass
+   * Uses the store's `peekAll` so scanning does not refresh LRU order; custom
+   * stores without it fall back to reading each key.
+   * @private
+   * @returns {Promise<Array>} [key, entry] pairs
+   */
+  async readCacheEntries() {
+    if (typeof this.cacheStore.peekAll === 'function') {
+      return this.cacheStore.peekAll();
+    }
+
+    const pairs = [];
+    for (const key of await this.cacheStore.keys()) {
+      const entry = await this.cacheStore.get(key);
+      if (entry) pairs.push([key, entry]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Remove cached responses matching every given criterion
+   * Called without criteria it removes everything.
+   * @param {Object} criteria - Invalidation criteria
+   * @param {string[]} criteria.tags - Entries stored with any of these `cacheTags`
+   * @param {string} criteria.urlPrefix - Entries for this URL or a path below it
+   * @param {Function} criteria.predicate - ({ key, url, method, tags }) => boolean
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async invalidate({ tags, urlPrefix, predicate } = {}) {
+    const prefix =
+      urlPrefix !== undefined ? this.getResourcePath(this.resolveURL(urlPrefix)) : null;
+    const keys = [];
+
+    for (const [key, entry] of await this.readCacheEntries()) {
+      const meta = { key, url: null, method: null, tags: [], ...entry.meta };
+      if (tags && !tags.some((tag) => meta.tags.includes(tag))) continue;
+      if (prefix !== null && !this.isWithinPath(meta.url, prefix)) continue;
+      if (predicate && !predicate(meta)) continue;
+      keys.push(key);
+    }
+
+    await Promise.all(keys.map((key) => this.cacheStore.delete(key)));
+    if (keys.length > 0) {
+      this.emit('cache:invalidate', { keys });
+    }
+    return keys.length;
+  }
+
+  /**
+   * Drop cached GETs made stale by a successful mutation
+   * That is the mutated path and everything below it and, for item mutations,
+   * the parent collection listing.
+   * @private
+   */
+  async invalidateAfterMutation(url, config) {
+    const method = (config.method || 'GET').toUpperCase();
+    if (!MUTATION_METHODS.includes(method)) return;
+
+    if (config.invalidateTags) {
+      await this.invalidate({ tags: config.invalidateTags });
+    }
+    if (!this.autoInvalidate || config.invalidate === false) return;
+
+    const path = this.getResourcePath(this.resolveURL(url));
+    const segments = this.parseURL(path)?.pathname.split('/').filter(Boolean) || [];
+    const parent = method !== 'POST' && segments.length > 1 ? path.replace(/\/[^/]*$/, '') : null;
+
+    await this.invalidate({
+      predicate: (entry) =>
+        entry.method === 'GET' &&
+        (this.isWithinPath(entry.url, path) ||
+          (parent !== null && this.getResourcePath(entry.url || '') === parent)),
+    });
+  }
+
+  /**
+   * Strip the query, fragment and trailing slash from a URL
+   * @private
+   */
+  getResourcePath(url) {
+    return url.split(/[?#]/)[0].replace(/\/+$/, '');
+  }
+
+  /**
+   * Check whether a URL is a path or lies below it
+   * @private
+   */
+  isWithinPath(url, path) {
+    if (!url) return false;
+    const resourcePath = this.getResourcePath(url);
+    return resourcePath === path || resourcePath.startsWith(`${path}/`);
+  }
+
+  /**
+   * Clear all cache
+   * The in-memory store clears at once; await the result for persistent stores.
+   * @returns {Promise<void>}
+   */
+  clearAllCache() {
+    return this.cacheStore.clear();
+  }
+
+  /**
+   * Build fetch configuration
+   * @private
+   */
+  buildFetchConfig(url, config = {}) {
+    const method = (config.method || 'GET').toUpperCase();
+    const headers = { ...config.headers };
+    const hasContentType = Boolean(this.getHeader(headers, 'Content-Type'));
+    let contentType = 'application/json';
+
+    // Add authentication header if token is available
+    if (this.authToken) {
+      headers.Authorization = `${this.authToken.type} ${this.authToken.token}`;
+    }
+
+    const fetchConfig = {
+      method,
+      headers,
+    };
+
+    // Add body for non-GET requests; `config.body` is sent exactly as given
+    if (method !== 'GET' && config.body !== undefined) {
+      fetchConfig.body = config.body;
+      contentType = null;
+    } else if (method !== 'GET' && config.data !== undefined && config.data !== null) {
+      const serialized = this.serializeBody(config.data);
+      fetchConfig.body = serialized.body;
+      contentType = serialized.contentType;
+    }
+
+    // Streamed bodies must be sent half-duplex
+    if (typeof ReadableStream !== 'undefined' && fetchConfig.body instanceof ReadableStream) {
+      fetchConfig.duplex = 'half';
+    }
+
+    if (!hasContentType && contentType) {
+      headers['Content-Type'] = contentType;
+    }
+
+    // Add query parameters
+    url = appendQuery(url, config.params);
+
+    return { url, fetchConfig };
+  }
+
+  /**
+   * Serialize request data and detect its content type
+   * @private
+   * @returns {Object} { body, contentType } - contentType is null when fetch must set it
+   */
+  serializeBody(data) {
+    // fetch adds the multipart boundary itself
+    if (typeof FormData !== 'undefined' && data instanceof FormData) {
+      return { body: data, contentType: null };
+    }
+    if (data instanceof URLSearchParams) {
+      return {
+        body: data,
+        contentType: 'application/x-www-form-urlencoded;charset=UTF-8',
+      };
+    }
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      return { body: data, contentType: data.type || 'application/octet-stream' };
+    }
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      return { body: data, contentType: 'application/octet-stream' };
+    }
+    if (typeof ReadableStream !== 'undefined' && data instanceof ReadableStream) {
+      return { body: data, contentType: 'application/octet-stream' };
+    }
+    if (typeof data === 'string') {
+      return { body: data, contentType: 'text/plain;charset=UTF-8' };
+    }
+    return { body: JSON.stringify(data), contentType: 'application/json' };
+  }
+
+  /**
+   * Best-effort size of a request body in bytes
+   * @private
+   */
+  getBodySize(body) {
+    if (body === undefined || body === null) return 0;
+    if (typeof body === 'string') return new TextEncoder().encode(body).length;
+    if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+    if (body instanceof URLSearchParams) {
+      return new TextEncoder().encode(body.toString()).length;
+    }
+    return null;
+  }
+
+  /**
+   * Build a progress event payload
+   * @private
+   */
+  createProgressEvent(loaded, total) {
+    const lengthComputable = typeof total === 'number' && total > 0;
+    return {
+      loaded,
+      total: lengthComputable ? total : null,
+      progress: lengthComputable ? Math.min(1, loaded / total) : null,
+      lengthComputable,
+    };
+  }
+
+  /**
+   * Send a request through XMLHttpRequest to get upload progress events
+   * @private
+   * @returns {Promise<Response>} Fetch-compatible response
+   */
+  sendWithXHR(url, init, onUploadProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(init.method, url);
+      xhr.responseType = 'blob';
+
+      Object.entries(init.headers || {}).forEach(([name, value]) => {
+        xhr.setRequestHeader(name, value);
+      });
+
+      xhr.upload.onprogress = (event) => {
+        onUploadProgress(
+          this.createProgressEvent(
+            event.loaded,
+            event.lengthComputable ? event.total : null
+          )
+        );
+      };
+
+      xhr.onload = () => {
+        const headers = new Headers();
+        xhr
+          .getAllResponseHeaders()
+          .trim()
+          .split(/[\r\n]+/)
+          .forEach((line) => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+              headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+            }
+          });
+
+        // Response cannot be constructed with a body for null-body statuses
+        const nullBody = [101, 204, 205, 304].includes(xhr.status);
+        resolve(
+          new Response(nullBody ? null : xhr.response, {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers,
+          })
+        );
+      };
+      xhr.onerror = () => reject(new TypeError('Network request failed'));
+      xhr.onabort = () => {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        reject(error);
+      };
+
+      if (init.signal) {
+        if (init.signal.aborted) xhr.abort();
+        else init.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+      }
+
+      xhr.send(init.body ?? null);
+    });
+  }
+
+  /**
+   * Wrap a response so reading its body reports download progress
+   * @private
+   */
+  trackDownloadProgress(response, onDownloadProgress) {
+    if (!response.body || typeof ReadableStream === 'undefined') return response;
+
+    const total = parseInt(response.headers.get('content-length'), 10) || null;
+    const reader = response.body.getReader();
+    let loaded = 0;
+
+    const body = new ReadableStream({
+      pull: async (controller) => {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+          return;
+        }
+        loaded += value.byteLength;
+        onDownloadProgress(this.createProgressEvent(loaded, total));
+        controller.enqueue(value);
+      },
+      cancel: (reason) => reader.cancel(reason),
+    });
+
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  /**
+   * Create abort signal with timeout, linked to an optional caller signal
+   * @private
+   * @returns {Object} { signal, didTimeout, clearTimer, cleanup }
+   */
+  createAbortSignal(timeout, externalSignal) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeout)
+        : null;
+
+    const onAbort = () => controller.abort(externalSignal.reason);
+    if (externalSignal) {
+      if (externalSignal.aborted) onAbort();
+      else externalSignal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+      signal: controller.signal,
+      didTimeout: () => timedOut,
+      clearTimer: () => clearTimeout(timer),
+      cleanup: () => {
+        clearTimeout(timer);
+        externalSignal?.removeEventListener('abort', onAbort);
+      },
+    };
+  }
+
+  /**
+   * Create a per-request controller registered under its cancellation tag
+   * @private
+   * @returns {Object} { signal, release }
+   */
+  trackCancellation(config) {
+    const tag = config.tag ?? null;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(config.signal.reason);
+
+    if (config.signal) {
+      if (config.signal.aborted) onAbort();
+      else config.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    if (!this.cancelGroups.has(tag)) {
+      this.cancelGroups.set(tag, new Set());
+    }
+    this.cancelGroups.get(tag).add(controller);
+
+    return {
+      signal: controller.signal,
+      release: () => {
+        config.signal?.removeEventListener('abort', onAbort);
+        const group = this.cancelGroups.get(tag);
+        group?.delete(controller);
+        if (group?.size === 0) this.cancelGroups.delete(tag);
+      },
+    };
+  }
+
+  /**
+   * Cancel in-flight requests
+   * @param {string} tag - Cancellation tag passed as `config.tag`; omit to cancel everything
+   * @param {string} reason - Optional cancellation reason
+   * @returns {number} Number of requests cancelled
+   */
+  cancelAll(tag, reason = 'Request was cancelled') {
+    const groups =
+      tag === undefined
+        ? Array.from(this.cancelGroups.values())
+        : [this.cancelGroups.get(tag) || new Set()];
+
+    let cancelled = 0;
+    groups.forEach((group) => {
+      group.forEach((controller) => {
+        controller.abort(this.createCancelError(reason));
+        cancelled++;
+      });
+    });
+    return cancelled;
+  }
+
+  /**
+   * Create the error thrown for caller-initiated cancellation
+   * @private
+   */
+  createCancelError(message = 'Request was cancelled') {
+    return new AbortError(message);
+  }
+
+  /**
+   * Turn an abort reason into a cancellation error
+   * @private
+   */
+  toCancelError(reason) {
+    if (reason instanceof AbortError) return reason;
+    return new AbortError(undefined, { cause: reason });
+  }
+
+  /**
+   * Create the error thrown when a request exceeds its timeout
+   * @private
+   */
+  createTimeoutError(timeout) {
+    return new TimeoutError(timeout);
+  }
+
+  /**
+   * Reject as soon as a signal aborts, without affecting the underlying promise
+   * @private
+   */
+  raceSignal(promise, signal, onAbort) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        onAbort?.();
+        reject(this.toCancelError(signal.reason));
+      };
+
+      if (signal.aborted) {
+        abort();
+        return;
+      }
+
+      signal.addEventListener('abort', abort, { once: true });
+      promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', abort);
+      });
+    });
+  }
+
+  /**
+   * Wait before the next attempt, stopping early if the request is cancelled
+   * @private
+   */
+  wait(ms, signal) {
+    return this.raceSignal(
+      new Promise((resolve) => setTimeout(resolve, ms)),
+      signal
+    );
+  }
+
+  /**
+   * Handle response
+   * @private
+   */
+  async handleResponse(response, config = {}) {
+    // A 304 confirms the cached copy; refresh its headers and reuse the body
+    if (response.status === 304 && config.cachedResponse) {
+      const headers = new Headers(config.cachedResponse.headers);
+      response.headers.forEach((value, name) => headers.set(name, value));
+      return {
+        ...config.cachedResponse,
+        headers,
+        fromCache: true,
+        stale: false,
+        revalidated: true,
+      };
+    }
+
+    const contentType = response.headers.get('content-type');
+    let data;
+
+    if (contentType && contentType.includes('application/json')) {
+      const text = await response.text();
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (e) {
+        // An error status with a broken body is still reported as an HTTP error
+        if (response.ok) {
+          throw new ParseError(`Invalid JSON response: ${e.message}`, {
+            cause: e,
+            body: text,
+            config,
+          });
+        }
+        data = text;
+      }
+    } else if (contentType && contentType.includes('text')) {
+      data = await response.text();
+    } else {
+      data = await response.blob();
+    }
+
+    if (!response.ok) {
+      throw HTTPError.fromStatus({
+        status: response.status,
+        statusText: response.statusText,
+        data,
+        headers: response.headers,
+        config,
+      });
+    }
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      data,
+      fromCache: false,
+    };
+  }
+
+  /**
+   * Retry logic with exponential backoff
+   * @private
+   */
+  async retryRequest(url, config, attempt = 0, startedAt = Date.now()) {
+    const policy = this.getRetryPolicy(config);
+
+    // Every attempt, retries and auth replays included, spends a rate limit slot
+    await this.acquireRateLimit(url, config);
+    let attemptStartedAt = Date.now();
+
+    try {
+      this.checkCircuit(url);
+
+      // Hold a concurrency slot for this attempt only, not during retry backoff
+      const release = await this.acquireConcurrencySlot(url, config);
+      attemptStartedAt = Date.now();
+      let response;
+      try {
+        response = await this.performRequest(url, config);
+      } finally {
+        release();
+      }
+
+      this.recordAttempt(config, attemptStartedAt);
+      this.recordCircuitResult(url, null);
+      return response;
+    } catch (error) {
+      this.recordAttempt(config, attemptStartedAt);
+      this.recordCircuitResult(url, error);
+
+      if (
+        attempt < policy.maxRetries &&
+        this.isRetryableError(error, config, policy)
+      ) {
+        const delay = this.getRetryDelay(error, attempt, policy);
+        if (delay !== null) {
+          this.emit('request:retry', {
+            requestId: config.trace?.requestId,
+            method: (config.method || 'GET').toUpperCase(),
+            url,
+            attempt: attempt + 1,
+            delay,
+            error,
+          });
+          await this.wait(delay, config.signal);
+          return this.retryRequest(url, config, attempt + 1, startedAt);
+        }
+      }
+      throw this.decorateError(error, { url, config, attempt: attempt + 1, startedAt });
+    }
+  }
+
+  /**
+   * Add an attempt's duration to the request trace
+   * @private
+   */
+  recordAttempt(config, attemptStartedAt) {
+    if (!config.trace) return;
+    config.trace.attempts++;
+    config.trace.networkTime += Date.now() - attemptStartedAt;
+  }
+
+  /**
+   * Fill in request context on an APIError that does not have it yet
+   * @private
+   */
+  decorateError(error, { url, config, attempt, startedAt }) {
+    if (!(error instanceof APIError)) return error;
+
+    error.url = error.url || url;
+    error.config = error.config || config;
+    if (attempt !== undefined && !error.attempt) error.attempt = attempt;
+    if (startedAt !== undefined && !error.timing) {
+      const endedAt = Date.now();
+      error.timing = { startedAt, endedAt, duration: endedAt - startedAt };
+    }
+    return error;
+  }
+
+  /**
+   * Resolve the retry policy for a request
+   * @private
+   * @param {Object} config - Request config; `config.retry` may be false, a retry count or a policy object
+   */
+  getRetryPolicy(config = {}) {
+    const { retry } = config;
+    if (retry === false) return { ...this.retryPolicy, maxRetries: 0 };
+    if (typeof retry === 'number') return { ...this.retryPolicy, maxRetries: retry };
+    return { ...this.retryPolicy, ...retry };
+  }
+
+  /**
+   * Work out how long to wait before the next attempt
+   * @private
+   * @returns {number|null} Delay in milliseconds, or null to stop retrying
+   */
+  getRetryDelay(error, attempt, policy) {
+    const retryAfter =
+      policy.respectRetryAfter && error.headers?.get
+        ? this.parseRetryAfter(error.headers.get('retry-after'))
+        : null;
+
+    // Give up rather than wait longer than the policy allows
+    if (retryAfter !== null) {
+      const wait = Math.max(0, retryAfter - Date.now());
+      return wait > policy.maxDelay ? null : wait;
+    }
+
+    const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+    return policy.jitter ? Math.random() * backoff : backoff;
+  }
+
+  /**
+   * Check if error is retryable
+   * @private
+   */
+  isRetryableError(error, config = {}, policy = this.getRetryPolicy(config)) {
+    // Never retry a request the caller cancelled, a breaker that is open, a
+    // failed token refresh or a body that failed to parse, which would fail
+    // the same way again
+    if (['ERR_CANCELED', 'ERR_CIRCUIT_OPEN', 'ERR_AUTH', 'ERR_PARSE'].includes(error.code)) {
+      return false;
+    }
+
+    // Non-idempotent methods are only safe to resend with an Idempotency-Key
+    const method = (config.method || 'GET').toUpperCase();
+    if (method === 'POST' || method === 'PATCH') {
+      if (!config.idempotent && !this.getHeader(config.headers, 'Idempotency-Key')) return false;
+    } else if (!policy.methods.includes(method)) {
+      return false;
+    }
+
+    if (!error.status) return policy.retryOnNetworkError; // Network error or timeout
+    return policy.statusCodes.includes(error.status);
+  }
+
+  /**
+   * Attach an auto-generated Idempotency-Key to POST/PATCH requests
+   * @private
+   */
+  withIdempotencyKey(config) {
+    const method = (config.method || 'GET').toUpperCase();
+    const policy = this.getRetryPolicy(config);
+
+    if (
+      (method !== 'POST' && method !== 'PATCH') ||
+      !policy.autoIdempotencyKey ||
+      this.getHeader(config.headers, 'Idempotency-Key')
+    ) {
+      return config;
+    }
+
+    return {
+      ...config,
+      headers: { ...config.headers, 'Idempotency-Key': this.generateId() },
+    };
+  }
+
+  /**
+   * Read a header from a plain headers object, ignoring case
+   * @private
+   */
+  getHeader(headers, name) {
+    if (!headers) return undefined;
+    const match = Object.keys(headers).find(
+      (key) => key.toLowerCase() === name.toLowerCase()
+    );
+    return match ? headers[match] : undefined;
+  }
+
+  /**
+   * Get (or create) the circuit breaker for a URL's host
+   * @private
+   */
+  getCircuit(url) {
+    const host = this.parseURL(url)?.host || 'default';
+
+    if (!this.circuits.has(host)) {
+      this.circuits.set(host, {
+        host,
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        halfOpenRequests: 0,
+      });
+    }
+
+    return this.circuits.get(host);
+  }
+
+  /**
+   * Fail fast while the host's circuit is open
+   * @private
+   */
+  checkCircuit(url) {
+    if (!this.circuitBreakerConfig) return;
+
+    const circuit = this.getCircuit(url);
+    const { resetTimeout, halfOpenMaxRequests } = this.circuitBreakerConfig;
+
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= resetTimeout) {
+      this.setCircuitState(circuit, 'half-open');
+    }
+
+    if (
+      circuit.state === 'open' ||
+      (circuit.state === 'half-open' && circuit.halfOpenRequests >= halfOpenMaxRequests)
+    ) {
+      throw new CircuitOpenError(circuit.host, {
+        url,
+        retryAfter: Math.max(0, circuit.openedAt + resetTimeout - Date.now()),
+      });
+    }
+
+    if (circuit.state === 'half-open') {
+      circuit.halfOpenRequests++;
+    }
+  }
+
+  /**
+   * Update the host's circuit after an attempt
+   * @private
+   * @param {string} url - Request URL
+   * @param {Error|null} error - Attempt error, or null on success
+   */
+  recordCircuitResult(url, error) {
+    if (!this.circuitBreakerConfig) return;
+    if (error?.code === 'ERR_CIRCUIT_OPEN') return;
+
+    const circuit = this.getCircuit(url);
+
+    // A cancelled probe says nothing about the host, but frees its half-open slot
+    if (error?.code === 'ERR_CANCELED') {
+      if (circuit.state === 'half-open' && circuit.halfOpenRequests > 0) {
+        circuit.halfOpenRequests--;
+      }
+      return;
+    }
+
+    // An unparseable body still came from a host that is up
+    const isFailure =
+      error && error.code !== 'ERR_PARSE' && (!error.status || error.status >= 500);
+
+    if (!isFailure) {
+      circuit.failures = 0;
+      if (circuit.state !== 'closed') this.setCircuitState(circuit, 'closed');
+      return;
+    }
+
+    circuit.failures++;
+    if (
+      circuit.state === 'half-open' ||
+      circuit.failures >= this.circuitBreakerConfig.failureThreshold
+    ) {
+      this.setCircuitState(circuit, 'open');
+    }
+  }
+
+  /**
+   * Transition a circuit and notify listeners
+   * @private
+   */
+  setCircuitState(circuit, state) {
+    circuit.state = state;
+    circuit.halfOpenRequests = 0;
+    if (state === 'open') circuit.openedAt = Date.now();
+    if (state === 'closed') circuit.openedAt = null;
+    this.emit('circuitStateChange', { host: circuit.host, state });
+  }
+
+  /**
+   * Get circuit breaker state per host
+   * @returns {Object} Map of host to { state, failures, openedAt, nextAttemptAt }
+   */
+  getCircuitBreakerStatus() {
+    const status = {};
+    this.circuits.forEach((circuit, host) => {
+      status[host] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt) : null,
+        nextAttemptAt:
+          circuit.state === 'open'
+            ? new Date(circuit.openedAt + this.circuitBreakerConfig.resetTimeout)
+            : null,
+      };
+    });
+    return status;
+  }
+
+  /**
+   * Apply request interceptors and send the request, without reading the body
+   * @private
+   * @returns {Promise<Response>} Raw response
+   */
+  async dispatchRequest(url, config, signal) {
+    let { url: fullUrl, fetchConfig } = this.buildFetchConfig(url, config);
+    fetchConfig.signal = signal;
+
+    // Apply request interceptors
+    let interceptedConfig = await this.executeRequestInterceptors({
+      url: fullUrl,
+      ...fetchConfig,
+      originalConfig: config,
+    });
+
+    // Sign last, so the signature covers what interceptors changed; retries re-sign
+    const signer = config.signer ?? this.signer;
+    if (signer) {
+      interceptedConfig = {
+        ...interceptedConfig,
+        headers: await signer.sign(interceptedConfig),
+      };
+    }
+
+    let response;
+    try {
+      if (this.transport) {
+        response = await sendWithTransport(this.transport, interceptedConfig);
+      } else if (config.onUploadProgress && typeof XMLHttpRequest !== 'undefined') {
+        response = await this.sendWithXHR(
+          interceptedConfig.url,
+          interceptedConfig,
+          config.onUploadProgress
+        );
+      } else {
+        response = await fetch(interceptedConfig.url, interceptedConfig);
+      }
+    } catch (error) {
+      // Aborts are mapped to timeout/cancel errors by the caller
+      if (error.name === 'AbortError') throw error;
+      throw new NetworkError(error.message, { cause: error, url, config });
+    }
+
+    // Without XHR the upload can only be reported once it has completed
+    if (
+      config.onUploadProgress &&
+      (this.transport || typeof XMLHttpRequest === 'undefined')
+    ) {
+      const size = this.getBodySize(interceptedConfig.body);
+      config.onUploadProgress(this.createProgressEvent(size || 0, size));
+    }
+
+    if (config.onDownloadProgress) {
+      response = this.trackDownloadProgress(response, config.onDownloadProgress);
+    }
+    this.updateRateLimitFromResponse(url, response);
+
+    return response;
+  }
+
+  /**
+   * Map an abort caused by our own timeout or the caller into a distinct error
+   * @private
+   */
+  normalizeAbortError(error, abort, timeout, config) {
+    if (abort.didTimeout()) return this.createTimeoutError(timeout);
+    if (config.signal?.aborted) return this.toCancelError(config.signal.reason);
+    return error;
+  }
+
+  /**
+   * Perform the actual fetch request
+   * @private
+   */
+  async performRequest(url, config) {
+    const timeout = config.timeout ?? this.timeout;
+    const abort = this.createAbortSignal(timeout, config.signal);
+
+    let result;
+    try {
+      const response = await this.dispatchRequest(url, config, abort.signal);
+      result = await this.handleResponse(response, config);
+    } catch (error) {
+      throw this.normalizeAbortError(error, abort, timeout, config);
+    } finally {
+      abort.cleanup();
+    }
+
+    // Apply response interceptors
+    result = await this.executeResponseInterceptors(result, {
+      url,
+      method: (config.method || 'GET').toUpperCase(),
+      config,
+    });
+
+    return result;
+  }
+
+  /**
+   * Main request method
+   * @param {string} url - Request URL
+   * @param {Object} config - Request configuration
+   * @param {AbortSignal} config.signal - Caller signal used to cancel the request
+   * @param {number} config.timeout - Per-request timeout override in milliseconds
+   * @param {string} config.tag - Cancellation group for `cancelAll(tag)`
+   * @param {boolean} config.dedupe - Set to false to opt out of in-flight deduplication
+   * @param {*} config.data - Request payload; FormData, URLSearchParams, Blob, ArrayBuffer,
+   *   streams and strings are sent as-is with a matching Content-Type, anything else as JSON
+   * @param {*} config.body - Raw body passed straight to fetch without serialization
+   * @param {Function} config.onUploadProgress - Called with { loaded, total, progress }
+   * @param {Function} config.onDownloadProgress - Called with { loaded, total, progress }
+   * @param {object} config.requestSchema - Schema the payload must satisfy before sending
+   * @param {object} config.responseSchema - Schema the response data must satisfy
+   * @param {boolean} config.coerce - Coerce validated data (ISO strings to Date, etc.)
+   * @param {boolean} config.offline - Set to false to keep a mutation out of the offline queue
+   * @param {number} config.priority - Queue priority when concurrency is limited; higher starts first
+   * @param {Object} config.pathParams - Values for `:name` placeholders in the URL
+   * @param {Object|boolean} config.signer - Signer for this request, or false to send it unsigned
+   * @param {string[]} config.cacheTags - Tags to store a cached response under, for `invalidate`
+   * @param {string[]} config.varyHeaders - Extra request headers that split cache entries
+   * @param {boolean} config.invalidate - Set to false to keep cached GETs after a mutation
+   * @param {string[]} config.invalidateTags - Cache tags to clear after a successful mutation
    * @returns {Promise<Object>} Response data
    */
-  async request(url, config = {}) {
+  async request(url, config = {}) {
+    if (config.pathParams) {
+      url = expandPath(url, config.pathParams);
+    }
+
+    if (this.isOfflineMutation(config)) {
+      return this.sendOrQueue(url, config);
+    }
+
+    const trace = this.startTrace(url, config);
+    config = trace.config;
+
+    try {
+      if (config.requestSchema && config.data !== undefined) {
+        config = {
+          ...config,
+          data: this.validateData(config.data, config.requestSchema, 'request', config),
+        };
+      }
+
+      let response = await this.executeRequest(url, config);
+      await this.invalidateAfterMutation(url, config);
+
+      if (config.responseSchema) {
+        response = {
+          ...response,
+          data: this.validateData(response.data, config.responseSchema, 'response', config),
+        };
+      }
+
+      this.finishTrace(trace, response);
+      return response;
+    } catch (error) {
+      // Apply error interceptors; one of them may recover with a response
+      const handled = await this.executeErrorInterceptors(
+        this.decorateError(error, { url: this.resolveURL(url), config })
+      );
+      if (handled.recovered) {
+        this.finishTrace(trace, handled.response);
+        return handled.response;
+      }
+      this.failTrace(trace, handled.error);
+      throw handled.error;
+    }
+  }
+
+  /**
+   * Validate request or response data against a schema
+   * Every failing path is reported at once so callers can fix them together.
+   * @private
+   * @returns {*} The data, coerced when config.coerce is set
+   */
+  validateData(data, schema, direction, config) {
+    const result = validateSchema(data, schema, { coerce: config.coerce });
+    if (!result.valid) {
+      const summary = result.errors.map((error) => `${error.path} ${error.message}`).join('; ');
+      throw new ValidationError(`Invalid ${direction} data: ${summary}`, {
+        errors: result.errors,
+        direction,
+        config,
+      });
+    }
+    return config.coerce ? result.value : data;
+  }
+
+  /**
+   * Run a request through the cache, deduplication and network pipeline
+   * @private
+   */
+  async executeRequest(url, config) {
+    const requestId = config.trace?.requestId;
+
+    // Check token expiry and refresh if needed
+    if (this.isTokenExpired() && this.canRefreshToken()) {
+      await this.refreshAuthToken();
+    }
+
+    const fullUrl = this.resolveURL(url);
+    const cacheKey = this.generateCacheKey(fullUrl, config);
+
+    const method = (config.method || 'GET').toUpperCase();
+    const dedupe = method === 'GET' && config.dedupe !== false;
+    const staleWindow = this.getStaleWindow(config);
+
+    // Check cache for GET requests
+    let requestConfig = config;
+    if (config.method?.toUpperCase() !== 'POST' && config.cache !== false) {
+      const cachedResponse = await this.getFromCache(cacheKey);
+      if (cachedResponse && !cachedResponse.stale) {
+        this.emit('cache:hit', { requestId, url: fullUrl, key: cacheKey });
+        return cachedResponse;
+      }
+
+      this.emit('cache:miss', {
+        requestId,
+        url: fullUrl,
+        key: cacheKey,
+        stale: Boolean(cachedResponse),
+      });
+
+      if (cachedResponse) {
+        requestConfig = this.withValidators(config, cachedResponse);
+      }
+
+      // Serve the stale entry and refresh it in the background
+      if (cachedResponse && staleWindow > 0) {
+        this.revalidate(cacheKey, fullUrl, requestConfig, staleWindow, dedupe);
+        return cachedResponse;
+      }
+    }
+
+    const cancellation = this.trackCancellation(config);
+    let response;
+
+    try {
+      if (dedupe) {
+        // Share identical in-flight GET requests
+        response = await this.joinInflight(
+          this.getDedupeKey(cacheKey, requestConfig),
+          fullUrl,
+          requestConfig,
+          cancellation.signal
+        );
+        if (response.deduped) return response;
+      } else {
+        // Perform request with retry logic
+        response = await this.sendWithAuthRetry(fullUrl, {
+          ...requestConfig,
+          signal: cancellation.signal,
+        });
+      }
+    } finally {
+      cancellation.release();
+    }
+
+    // Cache successful GET responses
+    if (config.method?.toUpperCase() !== 'POST' && config.cache !== false) {
+      await this.cacheResponse(cacheKey, response, config, staleWindow, fullUrl);
+    }
+
+    return dedupe ? { ...response } : response;
+  }
+
+  /**
+   * Send a request, refreshing the token and replaying once on a 401
+   * @private
+   */
+  async sendWithAuthRetry(url, config) {
+    config = this.withIdempotencyKey(config);
+    const sentWith = this.authToken;
+
+    try {
+      return await this.retryRequest(url, config);
+    } catch (error) {
+      if (
+        error.status !== 401 ||
+        config.authRetry === false ||
+        !this.canRefreshToken()
+      ) {
+        throw error;
+      }
+
+      await this.refreshAfterUnauthorized(sentWith);
+
+      try {
+        return await this.retryRequest(url, { ...config, authRetry: false });
+      } catch (replayError) {
+        if (replayError.status === 401) {
+          this.emit('authExpired', { error: replayError });
+        }
+        throw replayError;
+      }
+    }
+  }
+
+  /**
+   * Stream a response body as it arrives
+   * Server-Sent Events reconnect automatically, resuming with `Last-Event-ID`;
+   * a reconnect that fails with a network, timeout or 5xx error is tried again.
+   * @param {string} url - Request URL
+   * @param {Object} config - Request configuration (same options as `request`)
+   * @param {string} config.format - 'sse', 'ndjson', 'text' or 'bytes'; detected from Content-Type by default
+   * @param {string} config.lastEventId - Resume an event stream after this id
+   * @param {boolean} config.reconnect - Set to false to stop when an event stream closes
+   * @param {number} config.reconnectDelay - Delay before reconnecting, unless the server sends `retry`
+   * @param {number} config.maxReconnects - Maximum consecutive reconnect attempts
+   * @returns {AsyncGenerator} Parsed chunks: SSE events, JSON values, strings or byte arrays
+   */
+  async *stream(url, config = {}) {
+    if (config.pathParams) {
+      url = expandPath(url, config.pathParams);
+    }
+
+    const trace = this.startTrace(url, config);
+    config = trace.config;
+
+    const fullUrl = this.resolveURL(url);
+    const cancellation = this.trackCancellation(config);
+    const streamConfig = { ...config, signal: cancellation.signal };
+    const maxReconnects = config.maxReconnects ?? Infinity;
+
+    let lastEventId = config.lastEventId ?? null;
+    let reconnectDelay = config.reconnectDelay ?? 3000;
+    let reconnects = 0;
+    let status;
+
+    try {
+      // Check token expiry and refresh if needed
+      if (this.isTokenExpired() && this.canRefreshToken()) {
+        await this.refreshAuthToken();
+      }
+
+      let format = config.format;
+      while (true) {
+        const headers = { ...streamConfig.headers };
+        if (lastEventId !== null) headers['Last-Event-ID'] = lastEventId;
+
+        let response = null;
+        let abort = null;
+        let streamError = null;
+
+        try {
+          ({ response, abort } = await this.openStream(fullUrl, { ...streamConfig, headers }));
+          format = config.format || detectStreamFormat(response.headers.get('content-type'));
+          status = response.status;
+
+          if (format !== 'sse') {
+            if (format === 'ndjson') yield* parseNDJSON(response.body);
+            else if (format === 'text') yield* readText(response.body);
+            else yield* readBytes(response.body);
+            return;
+          }
+
+          // 204 tells an event stream client to stop reconnecting
+          if (response.status === 204) return;
+
+          const events = parseEventStream(response.body, lastEventId, {
+            onRetry: (delay) => {
+              reconnectDelay = delay;
+            },
+            onLastEventId: (id) => {
+              lastEventId = id;
+            },
+          });
+          for await (const event of events) {
+            reconnects = 0;
+            yield event;
+          }
+        } catch (error) {
+          streamError = abort ? this.normalizeAbortError(error, abort, 0, streamConfig) : error;
+          if (format !== 'sse' || streamError.code === 'ERR_CANCELED') {
+            throw streamError;
+          }
+          // A reconnect that fails outright only retries if the failure is temporary
+          if (!response && !isTransientError(streamError)) throw streamError;
+        } finally {
+          abort?.cleanup();
+        }
+
+        if (config.reconnect === false || reconnects >= maxReconnects) {
+          if (streamError) throw streamError;
+          return;
+        }
+
+        reconnects++;
+        await this.wait(reconnectDelay, cancellation.signal);
+      }
+    } catch (error) {
+      // Apply error interceptors; a stream cannot be replaced by a recovered response
+      const handled = await this.executeErrorInterceptors(
+        this.decorateError(error, { url: fullUrl, config })
+      );
+      const handledError = handled.recovered ? error : handled.error;
+      this.failTrace(trace, handledError);
+      throw handledError;
+    } finally {
+      cancellation.release();
+      if (!trace.failed) this.finishTrace(trace, { status });
+    }
+  }
+
+  /**
+   * Walk a paginated endpoint
+   * Each page is fetched through `get`, so caching, retries and rate limiting apply.
+   * @param {string} url - Request URL of the first page
+   * @param {Object} options - Pagination options; any other keys are passed to `get`
+   * @param {string|Function} options.strategy - 'link' (default), 'cursor', 'page', 'offset' or a strategy factory
+   * @param {Function} options.getNextPage - Custom extractor
+   *   (response, { request, items, pageNumber, resolveURL }) => { url, params } | null
+   * @param {string|Function} options.itemsPath - Path to (or function returning) the items in the response data
+   * @param {boolean} options.pages - Yield whole pages instead of individual items
+   * @param {number} options.maxPages - Stop after this many pages
+   * @param {number} options.maxItems - Stop after this many items
+   * @returns {AsyncGenerator} Items, or { items, response, pageNumber } pages
+   */
+  async *paginate(url, options = {}) {
+    const {
+      strategy,
+      getNextPage,
+      itemsPath,
+      pages = false,
+      maxPages = Infinity,
+      maxItems = Infinity,
+      cursorPath,
+      cursorParam,
+      hasMorePath,
+      pageParam,
+      pageSizeParam,
+      pageSize,
+      startPage,
+      totalPagesPath,
+      offsetParam,
+      limitParam,
+      totalPath,
+      ...config
+    } = options;
+
+    const paginator = createPaginationStrategy({
+      strategy,
+      getNextPage,
+      cursorPath,
+      cursorParam,
+      hasMorePath,
+      pageParam,
+      pageSizeParam,
+      pageSize,
+      startPage,
+      totalPagesPath,
+      offsetParam,
+      limitParam,
+      totalPath,
+    });
+
+    let request = paginator.first({ url, params: config.params });
+    let pageNumber = 0;
+    let itemCount = 0;
+
+    while (request && pageNumber < maxPages && itemCount < maxItems) {
+      const response = await this.get(request.url, { ...config, params: request.params });
+      let items = extractItems(response.data, itemsPath);
+      pageNumber++;
+
+      if (itemCount + items.length > maxItems) {
+        items = items.slice(0, maxItems - itemCount);
+      }
+      itemCount += items.length;
+
+      if (pages) {
+        yield { items, response, pageNumber };
+      } else {
+        yield* items;
+      }
+
+      request = paginator.next(response, {
+        request,
+        items,
+        pageNumber,
+        resolveURL: (pageURL) => this.resolveURL(pageURL),
+      });
+    }
+  }
+
+  /**
+   * Run a GraphQL operation
+   * Operations are POSTed through `request`, so auth, interceptors, retries and
+   * rate limiting apply. Whole query results are cached by operation name,
+   * endpoint, document and variables; entities are not normalized by
+   * __typename and id, so use `invalidates` to evict queries a mutation changes.
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - Operation variables
+   * @param {Object} options - GraphQL options; any other keys are passed to `request`
+   * @param {string} options.endpoint - Endpoint override
+   * @param {string} options.operationName - Operation to run when the document defines several
+   * @param {boolean} options.persisted - Send the query hash first and the full query only if the server asks
+   * @param {boolean|number} options.cache - Set to false to skip the query cache, or a TTL in milliseconds
+   * @param {boolean} options.forceRefresh - Ignore a cached result and refetch
+   * @param {string[]|boolean} options.invalidates - Query names a mutation evicts from the cache, or true for all
+   * @returns {Promise<Object>} { data, extensions, status, headers, fromCache }
+   */
+  async graphql(query, variables = {}, options = {}) {
+    const {
+      endpoint = this.graphqlConfig.endpoint,
+      operationName,
+      persisted = this.graphqlConfig.persistedQueries,
+      cache = this.graphqlConfig.cache,
+      forceRefresh = false,
+      invalidates,
+      ...config
+    } = options;
+
+    const operation = parseOperation(query, operationName);
+    const cacheable = operation.type === 'query' && cache !== false;
+    const hash = persisted || cacheable ? await hashString(query) : null;
+
+    // Anonymous queries are keyed by their document hash instead of a name
+    const cacheName = operation.name || `anonymous:${hash}`;
+    const cacheKey = cacheable
+      ? `${getOperationCacheKey(cacheName, variables, {
+          endpoint: this.resolveURL(endpoint),
+          documentHash: hash,
+        })}:${this.getCacheIdentity()}`
+      : null;
+
+    if (cacheKey && !forceRefresh) {
+      const cachedResponse = await this.getFromCache(cacheKey);
+      if (cachedResponse && !cachedResponse.stale) {
+        this.emit('cache:hit', { url: endpoint, key: cacheKey });
+        return cachedResponse;
+      }
+    }
+
+    const requestConfig = {
+      ...config,
+      // Queries have no side effects, so they are retried like GETs
+      idempotent: config.idempotent ?? operation.type === 'query',
+      // Every operation POSTs to the endpoint, which says nothing about cached REST GETs
+      invalidate: false,
+    };
+    const send = (includeQuery) =>
+      this.post(
+        endpoint,
+        buildGraphQLBody({
+          query,
+          variables,
+          operationName: operation.name,
+          hash: persisted ? hash : null,
+          includeQuery,
+        }),
+        requestConfig
+      );
+
+    let response = await send(!persisted);
+    if (persisted && isPersistedQueryNotFound(response.data)) {
+      response = await send(true);
+    }
+
+    // GraphQL reports failures in the body, usually with a 200 status
+    const payload = response.data || {};
+    if (Array.isArray(payload.errors) && payload.errors.length > 0) {
+      const error = new GraphQLError(payload.errors.map((item) => item.message).join('; '), {
+        errors: payload.errors,
+        data: payload.data,
+        operationName: operation.name,
+      });
+      const handled = await this.executeErrorInterceptors(
+        this.decorateError(error, { url: this.resolveURL(endpoint), config: requestConfig })
+      );
+      if (!handled.recovered) throw handled.error;
+      return handled.response;
+    }
+
+    const result = {
+      data: payload.data ?? null,
+      extensions: payload.extensions,
+      status: response.status,
+      headers: response.headers,
+      fromCache: false,
+    };
+
+    if (cacheKey) {
+      await this.setCache(cacheKey, result, typeof cache === 'number' ? cache : this.cacheTTL, 0, {
+        url: this.resolveURL(endpoint),
+        method: 'POST',
+        tags: config.cacheTags || [],
+        operationName: operation.name,
+      });
+    }
+
+    if (operation.type === 'mutation' && invalidates) {
+      await this.invalidateQueries(invalidates === true ? undefined : invalidates);
+    }
+
+    return result;
+  }
+
+  /**
+   * Evict cached GraphQL query results
+   * @param {string|string[]} operationNames - Queries to evict; all queries when omitted
+   * @returns {Promise<number>} Number of evicted entries
+   */
+  async invalidateQueries(operationNames) {
+    const prefixes = operationNames
+      ? [].concat(operationNames).map(getOperationCachePrefix)
+      : [getOperationCachePrefix()];
+
+    const keys = (await this.cacheStore.keys()).filter((key) =>
+      prefixes.some((prefix) => key.startsWith(prefix))
+    );
+    await Promise.all(keys.map((key) => this.cacheStore.delete(key)));
+    return keys.length;
+  }
+
+  /**
+   * Send several requests together
+   * Without a batch endpoint, items run as individual requests under the
+   * concurrency limits. With `batch.endpoint` set they are packed into one call
+   * per `maxBatchSize` items and the responses are unpacked.
+   * A failing item never fails the whole batch.
+   * @param {Object[]} requests - { url, method, data, params, headers, priority, ... } items
+   * @param {Object} options - Overrides for the `batch` constructor options
+   * @returns {Promise<Object[]>} { ok: true, response } or { ok: false, error } per item, in order
+   */
+  async batch(requests, options = {}) {
+    const settings = { ...this.batchConfig, ...options };
+
+    if (!settings.endpoint) {
+      return Promise.all(
+        requests.map(({ url, ...config }) =>
+          this.request(url, config).then(
+            (response) => ({ ok: true, response }),
+            (error) => ({ ok: false, error })
+          )
+        )
+      );
+    }
+
+    const chunks = [];
+    for (let i = 0; i < requests.length; i += settings.maxBatchSize) {
+      chunks.push(requests.slice(i, i + settings.maxBatchSize));
+    }
+
+    const results = await Promise.all(chunks.map((chunk) => this.sendBatch(chunk, settings)));
+    return results.flat();
+  }
+
+  /**
+   * Send one packed batch to the batch endpoint
+   * @private
+   */
+  async sendBatch(items, settings) {
+    const { endpoint, format, maxBatchSize, ...settingsConfig } = settings;
+    // The queued replay could not hand results back to the batch's callers
+    const config = { ...settingsConfig, offline: false };
+
     try {
-      // Check token expiry and refresh if needed
-      if (this.isTokenExpired() && this.refreshToken) {
-        await this.refreshAuthToken();
+      let entries;
+      if (format === 'multipart') {
+        const boundary = createBoundary();
+        const response = await this.post(endpoint, buildMultipartBatch(items, boundary), {
+          ...config,
+          headers: { ...config.headers, 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+        });
+        const text =
+          typeof response.data === 'string' ? response.data : await response.data.text();
+        entries = parseMultipartBatch(text, response.headers.get('content-type'), items.length);
+      } else {
+        const response = await this.post(endpoint, buildJSONBatch(items), config);
+        entries = parseJSONBatch(response.data, items.length);
+      }
+
+      return entries.map((entry, index) => this.toBatchResult(items[index], entry));
+    } catch (error) {
+      // The batch call itself failed, so every item shares its error
+      return items.map(() => ({ ok: false, error }));
+    }
+  }
+
+  /**
+   * Turn an unpacked batch entry into a per-item result
+   * @private
+   */
+  toBatchResult(item, entry) {
+    const url = this.resolveURL(item.url);
+
+    if (!entry) {
+      return {
+        ok: false,
+        error: new APIError('Batch response is missing this request', {
+          code: 'ERR_BATCH',
+          url,
+          config: item,
+        }),
+      };
+    }
+
+    const headers = new Headers(entry.headers);
+    if (entry.status < 200 || entry.status >= 300) {
+      return {
+        ok: false,
+        error: HTTPError.fromStatus({
+          status: entry.status,
+          statusText: entry.statusText,
+          data: entry.data,
+          headers,
+          config: item,
+          url,
+        }),
+      };
+    }
+
+    return {
+      ok: true,
+      response: {
+        status: entry.status,
+        statusText: entry.statusText || '',
+        headers,
+        data: entry.data,
+        fromCache: false,
+      },
+    };
+  }
+
+  /**
+   * Check whether a request goes through the offline queue
+   * @private
+   */
+  isOfflineMutation(config) {
+    if (!this.offlineConfig || config.offline === false) return false;
+    return this.offlineConfig.methods.includes((config.method || 'GET').toUpperCase());
+  }
+
+  /**
+   * Send a mutation, queueing it instead when connectivity is lost
+   * Transient server failures (5xx, 408, 429, timeouts, open circuits) queue too
+   * and are replayed after a backoff. Mutations also queue while older ones are
+   * pending, so replay keeps their order.
+   * @private
+   * @returns {Promise<Object>} Response, or { queued: true, id, data: null } when queued
+   */
+  async sendOrQueue(url, config) {
+    // A stable key lets the server drop duplicates if a replay overlaps a lost response
+    if (!this.getHeader(config.headers, 'Idempotency-Key')) {
+      config = {
+        ...config,
+        headers: { ...config.headers, 'Idempotency-Key': this.generateId() },
+      };
+    }
+
+    const pending = await this.offlineQueue.getAll();
+    if (globalThis.navigator?.onLine === false || pending.length > 0) {
+      const queued = await this.enqueueMutation(url, config);
+      if (pending.length > 0 && globalThis.navigator?.onLine !== false) {
+        this.syncOfflineQueue().catch(() => {});
+      }
+      return queued;
+    }
+
+    try {
+      return await this.request(url, { ...config, offline: false });
+    } catch (error) {
+      if (!isTransientError(error)) throw error;
+      const queued = await this.enqueueMutation(url, config);
+      if (!isConnectivityError(error)) this.scheduleOfflineRetry(error, 0);
+      return queued;
+    }
+  }
+
+  /**
+   * Persist a mutation for later replay
+   * @private
+   */
+  async enqueueMutation(url, config) {
+    // Timestamps keep the order across reloads; the max() keeps it within a millisecond
+    this.lastOfflineSeq = Math.max(Date.now(), this.lastOfflineSeq + 1);
+
+    const entry = {
+      id: this.generateId(),
+      seq: this.lastOfflineSeq,
+      method: (config.method || 'GET').toUpperCase(),
+      // Resolved, so any client sharing the queue replays to the right host
+      url: this.resolveURL(url),
+      config: toQueuedConfig(config),
+      createdAt: Date.now(),
+      attempts: 0,
+    };
+
+    await this.offlineQueue.put(entry);
+    const pending = (await this.offlineQueue.getAll()).length;
+    this.emit('offline:queued', { id: entry.id, method: entry.method, url, pending });
+
+    return { queued: true, id: entry.id, data: null, status: null, fromCache: false };
+  }
+
+  /**
+   * Replay queued mutations in order
+   * Replay stops at the first connectivity failure and resumes on the next sync.
+   * Transient server failures also stop it, keep the entry and schedule another
+   * sync after a backoff (or the server's Retry-After). A conflict status is
+   * passed to `offline.onConflict`, which may return a config to resend once;
+   * other failures are dropped and reported via `offline:failed`.
+   * @returns {Promise<Object>} { replayed, failed, remaining }
+   */
+  async syncOfflineQueue() {
+    if (!this.offlineQueue) {
+      return { replayed: 0, failed: 0, remaining: 0 };
+    }
+
+    if (!this.offlineSyncPromise) {
+      this.offlineSyncPromise = this.replayOfflineQueue().finally(() => {
+        this.offlineSyncPromise = null;
+      });
+    }
+    return this.offlineSyncPromise;
+  }
+
+  /**
+   * Replay the queue once
+   * @private
+   */
+  async replayOfflineQueue() {
+    const result = { replayed: 0, failed: 0, remaining: 0 };
+
+    // Re-read the queue each time so mutations queued during the sync are included
+    let entries = await this.offlineQueue.getAll();
+    while (entries.length > 0) {
+      const outcome = await this.replayMutation(entries[0]);
+
+      if (outcome === 'offline' || outcome === 'retry') {
+        result.remaining = (await this.offlineQueue.getAll()).length;
+        break;
       }
 
-      // Check rate limiting
-      this.checkRateLimit();
+      await this.offlineQueue.delete(entries[0].id);
+      result[outcome]++;
+      entries = await this.offlineQueue.getAll();
+    }
+
+    this.emit('offline:sync', result);
+    return result;
+  }
+
+  /**
+   * Replay one queued mutation
+   * @private
+   * @returns {Promise<string>} 'replayed', 'failed', 'offline' or 'retry'
+   */
+  async replayMutation(entry) {
+    const send = (config) =>
+      this.request(entry.url, { method: entry.method, ...config, offline: false });
+
+    entry.attempts++;
+    await this.offlineQueue.put(entry);
+
+    try {
+      const response = await send(entry.config);
+      this.emit('offline:replayed', { id: entry.id, response });
+      return 'replayed';
+    } catch (error) {
+      if (isConnectivityError(error)) return 'offline';
+      if (isTransientError(error)) {
+        this.scheduleOfflineRetry(error, entry.attempts);
+        return 'retry';
+      }
 
-      const fullUrl = url.startsWith('http') ? url : `${this.baseURL}${url}`;
-      const cacheKey = this.generateCacheKey(fullUrl, config);
+      const { conflictStatuses, onConflict } = this.offlineConfig;
+      if (conflictStatuses.includes(error.status) && onConflict) {
+        this.emit('offline:conflict', { id: entry.id, error });
 
-      // Check cache for GET requests
-      if (config.method?.toUpperCase() !== 'POST' && config.cache !== false) {
-        const cachedResponse = this.getFromCache(cacheKey);
-        if (cachedResponse) {
-          return cachedResponse;
+        try {
+          const resolved = await onConflict(entry, error);
+          if (resolved) {
+            const response = await send({ ...entry.config, ...resolved });
+            this.emit('offline:replayed', { id: entry.id, response });
+            return 'replayed';
+          }
+        } catch (conflictError) {
+          if (isConnectivityError(conflictError)) return 'offline';
+          if (isTransientError(conflictError)) {
+            this.scheduleOfflineRetry(conflictError, entry.attempts);
+            return 'retry';
+          }
+          error = conflictError;
         }
       }
 
-      // Perform request with retry logic
-      const response = await this.retryRequest(fullUrl, config);
+      this.emit('offline:failed', { id: entry.id, method: entry.method, url: entry.url, error });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Schedule another sync after a transient server failure
+   * The `online` event only covers lost connectivity, so server errors back off
+   * with the retry policy instead, honouring Retry-After when the server sends it.
+   * @private
+   */
+  scheduleOfflineRetry(error, attempt) {
+    if (!this.offlineConfig.autoReplay || this.offlineRetryTimer) return;
+
+    // Local rate limits and open circuits know exactly when they clear
+    let delay =
+      typeof error.retryAfter === 'number'
+        ? error.retryAfter
+        : this.getRetryDelay(error, attempt, this.getRetryPolicy());
+    // A Retry-After beyond the policy's maxDelay is still worth waiting for here
+    if (delay === null) {
+      delay = Math.max(0, this.parseRetryAfter(error.headers.get('retry-after')) - Date.now());
+    }
+
+    this.offlineRetryTimer = setTimeout(() => {
+      this.offlineRetryTimer = null;
+      this.syncOfflineQueue().catch(() => {});
+    }, delay);
+    // Don't keep Node processes alive just to replay
+    this.offlineRetryTimer.unref?.();
+  }
+
+  /**
+   * Stop background work so the client can be garbage collected
+   * Removes the `online` listener and cancels a scheduled offline replay; queued
+   * mutations are kept and replay on the next sync.
+   */
+  destroy() {
+    if (this.onlineListener) {
+      globalThis.removeEventListener?.('online', this.onlineListener);
+      this.onlineListener = null;
+    }
+
+    // A child sharing the queue leaves the parent's replay alone
+    if (!this.sharesOfflineQueue && this.offlineRetryTimer) {
+      clearTimeout(this.offlineRetryTimer);
+      this.offlineRetryTimer = null;
+    }
+  }
+
+  /**
+   * List mutations waiting to be replayed, oldest first
+   * @returns {Promise<Object[]>} { id, method, url, createdAt, attempts } entries
+   */
+  async getPendingMutations() {
+    if (!this.offlineQueue) return [];
+    const entries = await this.offlineQueue.getAll();
+    return entries.map(({ id, method, url, createdAt, attempts }) => ({
+      id,
+      method,
+      url,
+      createdAt,
+      attempts,
+    }));
+  }
+
+  /**
+   * Count mutations waiting to be replayed
+   * @returns {Promise<number>} Pending mutation count
+   */
+  async getPendingCount() {
+    return (await this.getPendingMutations()).length;
+  }
+
+  /**
+   * Drop a queued mutation without sending it
+   * @param {string} id - Queue entry ID
+   */
+  async discardPendingMutation(id) {
+    await this.offlineQueue?.delete(id);
+  }
+
+  /**
+   * Drop every queued mutation
+   */
+  async clearPendingMutations() {
+    await this.offlineQueue?.clear();
+  }
+
+  /**
+   * Open a streaming connection; the timeout only covers receiving headers
+   * @private
+   * @returns {Promise<Object>} { response, abort }
+   */
+  async openStream(url, config, authRetried = false) {
+    await this.acquireRateLimit(url, config);
+
+    const sentWith = this.authToken;
+    const timeout = config.timeout ?? this.timeout;
+    const abort = this.createAbortSignal(timeout, config.signal);
+
+    try {
+      const response = await this.dispatchRequest(url, config, abort.signal);
 
-      // Cache successful GET responses
-      if (config.method?.toUpperCase() !== 'POST' && config.cache !== false) {
-        this.setCache(cacheKey, response, config.cacheTTL);
+      if (!response.ok) {
+        // Reads the error body and throws
+        await this.handleResponse(response, config);
       }
 
-      return response;
+      abort.clearTimer();
+      await this.executeResponseInterceptors(
+        {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+          data: null,
+          fromCache: false,
+          stream: true,
+        },
+        { url, method: (config.method || 'GET').toUpperCase(), config }
+      );
+
+      return { response, abort };
     } catch (error) {
-      // Apply error interceptors
-      const handledError = await this.executeErrorInterceptors(error);
-      throw handledError;
+      abort.cleanup();
+
+      if (error.status === 401 && !authRetried && this.canRefreshToken()) {
+        await this.refreshAfterUnauthorized(sentWith);
+        return this.openStream(url, config, true);
+      }
+
+      throw this.normalizeAbortError(error, abort, timeout, config);
+    }
+  }
+
+  /**
+   * Refresh a stale cache entry in the background
+   * @private
+   */
+  revalidate(cacheKey, url, config, staleWindow, dedupe) {
+    const dedupeKey = this.getDedupeKey(cacheKey, config);
+    if (this.inflightRequests.has(dedupeKey)) return;
+
+    // Background refreshes are never tied to the caller's signal
+    const backgroundConfig = { ...config, signal: undefined };
+    const entry = dedupe
+      ? this.startInflight(dedupeKey, url, backgroundConfig)
+      : { promise: this.sendWithAuthRetry(url, backgroundConfig) };
+
+    entry.promise
+      .then((response) =>
+        this.cacheResponse(cacheKey, response, config, staleWindow, url)
+      )
+      .catch((error) => {
+        this.emit('cache:revalidate-error', { url, key: cacheKey, error });
+      });
+  }
+
+  /**
+   * Start a shared request that is aborted only when every subscriber cancels
+   * @private
+   */
+  startInflight(dedupeKey, url, config) {
+    const controller = new AbortController();
+    const entry = { controller, subscribers: 1, promise: null };
+
+    entry.promise = this.sendWithAuthRetry(url, {
+      ...config,
+      signal: controller.signal,
+    }).finally(() => {
+      if (this.inflightRequests.get(dedupeKey) === entry) {
+        this.inflightRequests.delete(dedupeKey);
+      }
+    });
+
+    // Subscribers observe failures themselves; an abandoned request must not
+    // surface as an unhandled rejection
+    entry.promise.catch(() => {});
+
+    this.inflightRequests.set(dedupeKey, entry);
+    return entry;
+  }
+
+  /**
+   * Subscribe to an identical in-flight request, starting one if needed
+   * @private
+   */
+  async joinInflight(dedupeKey, url, config, signal) {
+    if (signal?.aborted) throw this.toCancelError(signal.reason);
+
+    let entry = this.inflightRequests.get(dedupeKey);
+    const shared = Boolean(entry);
+
+    if (shared) {
+      entry.subscribers++;
+      this.dedupedRequestCount++;
+    } else {
+      entry = this.startInflight(dedupeKey, url, config);
     }
+
+    const response = await this.raceSignal(entry.promise, signal, () => {
+      entry.subscribers--;
+      if (entry.subscribers === 0) {
+        // Later callers must start a fresh request instead of joining this one
+        if (this.inflightRequests.get(dedupeKey) === entry) {
+          this.inflightRequests.delete(dedupeKey);
+        }
+        entry.controller.abort(this.createCancelError());
+      }
+    });
+
+    // Each joiner gets its own copy of the data, so mutating it cannot affect the others
+    return shared
+      ? { ...response, data: cloneResponseData(response.data), deduped: true }
+      : response;
   }
 
   /**
@@ -427,43 +3365,229 @@ class APIService {
     return this.request(url, { ...config, method: 'DELETE', cache: false });
   }
 
+  /**
+   * Create a REST resource with list/get/create/update/patch/remove methods
+   * @param {string} path - Collection path such as '/users' or '/users/:userId/orders'
+   * @param {Object} options - Shared headers, schemas and cache policy (see createResource)
+   * @returns {Object} Resource
+   */
+  resource(path, options = {}) {
+    return createResource(this, path, options);
+  }
+
   /**
    * Refresh authentication token
+   * Concurrent callers share a single in-flight refresh.
+   * @returns {Promise<void>}
    */
   async refreshAuthToken() {
-    // Override this method in subclass or set custom refresh logic
-    console.warn('Token refresh not implemented. Please set custom refresh logic.');
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Run the configured refresh handler or OAuth2 grant
+   * Failures, including a missing refresh setup, reject with an AuthError whose
+   * `cause` is the underlying error.
+   * @private
+   */
+  async performTokenRefresh() {
+    let result;
+
+    try {
+      if (this.refreshHandler) {
+        result = await this.refreshHandler(this.refreshToken, this);
+      } else if (this.oauth?.tokenEndpoint && this.refreshToken) {
+        result = await this.requestRefreshTokenGrant();
+      } else {
+        throw new AuthError('No refreshHandler or OAuth token endpoint to refresh the token');
+      }
+      // A response without an access token fails the refresh like any other error
+      this.applyTokenResponse(result);
+    } catch (cause) {
+      const error =
+        cause instanceof AuthError
+          ? cause
+          : new AuthError(`Token refresh failed: ${cause?.message || cause}`, {
+              cause,
+              url: cause?.url,
+            });
+      this.authToken = null;
+      this.refreshToken = null;
+      this.tokenExpiryTime = null;
+      this.emit('authExpired', { error });
+      throw error;
+    }
+
+    this.emit('tokenRefreshed', { expiresAt: this.tokenExpiryTime });
+  }
+
+  /**
+   * Exchange the refresh token using the OAuth2 refresh_token grant
+   * @private
+   */
+  async requestRefreshTokenGrant() {
+    const { tokenEndpoint, clientId, clientSecret, scope } = this.oauth;
+    const body = new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: this.refreshToken,
+    });
+    if (clientId) body.set('client_id', clientId);
+    if (clientSecret) body.set('client_secret', clientSecret);
+    if (scope) body.set('scope', scope);
+
+    const endpoint = this.resolveURL(tokenEndpoint);
+
+    const response = await this.sendRaw({
+      url: endpoint,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: body.toString(),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw HTTPError.fromStatus({
+        status: response.status,
+        statusText: response.statusText,
+        data: {
+          ...data,
+          message:
+            data.error_description || data.error || `Token refresh failed: ${response.status}`,
+        },
+        headers: response.headers,
+        url: endpoint,
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Send a request straight through the transport, bypassing the request pipeline
+   * @private
+   */
+  sendRaw(request) {
+    if (this.transport) return sendWithTransport(this.transport, request);
+    return fetch(request.url, request);
+  }
+
+  /**
+   * Store tokens returned by a refresh
+   * @private
+   * @param {Object} result - { accessToken|access_token, refreshToken|refresh_token, expiresIn|expires_in, tokenType|token_type }
+   */
+  applyTokenResponse(result = {}) {
+    const accessToken = result.accessToken || result.access_token;
+    if (!accessToken) {
+      throw new AuthError('Token refresh response did not include an access token');
+    }
+
+    this.tokenExpiryTime = null;
+    this.setAuthToken(accessToken, result.tokenType || result.token_type || 'Bearer');
+
+    const refreshToken = result.refreshToken || result.refresh_token;
+    if (refreshToken) {
+      this.refreshToken = refreshToken;
+    }
+
+    const expiresIn = result.expiresIn ?? result.expires_in;
+    if (expiresIn !== undefined) {
+      this.tokenExpiryTime = Date.now() + expiresIn * 1000;
+    }
   }
 
   /**
    * Get rate limit status
+   * Reading the status never creates buckets. Without a URL, a 'global' scope
+   * reports its single bucket; 'host' and 'route' scopes report the totals of
+   * requestsInWindow and queueDepth across buckets.
+   * @param {string} url - Optional URL whose bucket to report; omit for all buckets
+   */
+  getRateLimitStatus(url) {
+    const peek = (key) => this.rateLimitBuckets.get(key) || this.createRateLimitBucket(key);
+
+    if (url !== undefined) {
+      return this.getBucketStatus(peek(this.getRateLimitKey(url)));
+    }
+
+    const buckets = {};
+    this.rateLimitBuckets.forEach((bucket, key) => {
+      buckets[key] = this.getBucketStatus(bucket);
+    });
+    const { scope } = this.rateLimitConfig;
+
+    if (scope === 'global') {
+      return { ...this.getBucketStatus(peek('global')), scope, buckets };
+    }
+
+    const statuses = Object.values(buckets);
+    return {
+      scope,
+      requestsInWindow: statuses.reduce((sum, status) => sum + status.requestsInWindow, 0),
+      queueDepth: statuses.reduce((sum, status) => sum + status.queueDepth, 0),
+      buckets,
+    };
+  }
+
+  /**
+   * Get concurrency limiter status
+   * @returns {Object} { active, queued, maxConcurrent, hosts }
+   */
+  getConcurrencyStatus() {
+    return {
+      active: this.activeRequests.total,
+      queued: this.concurrencyQueue.length,
+      maxConcurrent: this.concurrencyConfig.maxConcurrent,
+      hosts: Object.fromEntries(this.activeRequests.hosts),
+    };
+  }
+
+  /**
+   * Build the status report for a single bucket
+   * @private
    */
-  getRateLimitStatus() {
+  getBucketStatus(bucket) {
     const now = Date.now();
-    const windowStart = now - this.rateLimitConfig.windowMs;
-    const recentRequests = this.requestTimestamps.filter(
-      (timestamp) => timestamp > windowStart
-    );
+    const delay = this.getRateLimitDelay(bucket, now);
+    const { server } = bucket;
 
     return {
-      requestsInWindow: recentRequests.length,
-      maxRequests: this.rateLimitConfig.maxRequests,
-      remaining: this.rateLimitConfig.maxRequests - recentRequests.length,
-      windowMs: this.rateLimitConfig.windowMs,
-      resetTime: new Date(
-        (recentRequests[0] || now) + this.rateLimitConfig.windowMs
-      ),
+      requestsInWindow: bucket.timestamps.length,
+      maxRequests: bucket.maxRequests,
+      remaining: Math.max(0, bucket.maxRequests - bucket.timestamps.length),
+      windowMs: bucket.windowMs,
+      resetTime: new Date((bucket.timestamps[0] || now) + bucket.windowMs),
+      queueDepth: bucket.queue.length,
+      waitTime: delay,
+      server: {
+        limit: server.limit,
+        remaining: server.remaining,
+        resetTime: server.resetAt ? new Date(server.resetAt) : null,
+        retryAfter: server.blockedUntil > now ? new Date(server.blockedUntil) : null,
+      },
     };
   }
 
   /**
    * Get cache statistics
+   * Breaking change: this now returns a Promise instead of the stats object.
+   * @returns {Promise<Object>} Store statistics plus in-flight request counts
    */
-  getCacheStats() {
+  async getCacheStats() {
+    const storeStats = await this.cacheStore.stats();
     return {
-      entries: this.cache.size,
-      keys: Array.from(this.cache.keys()),
-      totalSize: JSON.stringify(Array.from(this.cache.values())).length,
+      ...storeStats,
+      keys: await this.cacheStore.keys(),
+      inflight: this.inflightRequests.size,
+      dedupedRequests: this.dedupedRequestCount,
     };
   }
 }
@@ -475,3 +3599,28 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // For use as ES6 module
 export default APIService;
+export {
+  MockTransport,
+  RecordReplayTransport,
+  createFetchTransport,
+} from './transport.js';
+export {
+  APIError,
+  HTTPError,
+  ClientError,
+  TooManyRequestsError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  RateLimitError,
+  CircuitOpenError,
+  AuthError,
+  ParseError,
+  ValidationError,
+  GraphQLError,
+} from './errors.js';
+export { validateSchema, registerFormat } from './schema.js';
+export { MemoryQueueStore, IndexedDBQueueStore } from './offline.js';
+export { expandPath } from './url.js';
+export { createHMACSigner, createSigV4Signer, verifySignature } from './signing.js';
@@ -0,0 +1,197 @@
+/**
+ * Batch Module
+ * Features: Packing several requests into one call to a batch endpoint and
+ * unpacking the responses, as JSON envelopes or multipart/mixed bodies
+ *
+ * JSON batches are sent as
+ *   { requests: [{ id, method, url, headers, body }] }
+ * and expected back as
+ *   { responses: [{ id, status, headers, body }] }
+ * Multipart batches follow the `multipart/mixed` convention where every part
+ * is an `application/http` message matched to its request by Content-ID.
+ */
+
+import { generateSecureRandomString } from './utils.js';
+import { appendQuery } from './url.js';
+
+/**
+ * Build the path of a batched request, including its query string
+ * @param {object} item - Batch item { url, params }
+ * @returns {string} Relative URL
+ */
+export function getItemURL(item) {
+  return appendQuery(item.url, item.params);
+}
+
+/**
+ * Build a JSON batch body
+ * @param {object[]} items - Batch items { url, method, params, headers, data }
+ * @returns {object} Batch envelope
+ */
+export function buildJSONBatch(items) {
+  return {
+    requests: items.map((item, index) => ({
+      id: String(index),
+      method: (item.method || 'GET').toUpperCase(),
+      url: getItemURL(item),
+      headers: item.headers || {},
+      ...(item.data !== undefined ? { body: item.data } : {}),
+    })),
+  };
+}
+
+/**
+ * Unpack a JSON batch response
+ * @param {object|array} data - Batch response body
+ * @param {number} count - Number of requests in the batch
+ * @returns {Array<object|null>} { status, headers, data } per request, null if missing
+ */
+export function parseJSONBatch(data, count) {
+  const responses = Array.isArray(data) ? data : data?.responses || [];
+  const results = new Array(count).fill(null);
+
+  responses.forEach((response, position) => {
+    const index = response.id !== undefined ? Number(response.id) : position;
+    if (index >= 0 && index < count) {
+      results[index] = {
+        status: response.status,
+        headers: response.headers || {},
+        data: response.body ?? response.data ?? null,
+      };
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Create a multipart boundary
+ * @returns {string} Boundary
+ */
+export function createBoundary() {
+  return `batch_${generateSecureRandomString(16)}`;
+}
+
+/**
+ * Build a multipart/mixed batch body
+ * @param {object[]} items - Batch items { url, method, params, headers, data }
+ * @param {string} boundary - Multipart boundary
+ * @returns {string} Request body
+ */
+export function buildMultipartBatch(items, boundary) {
+  const parts = items.map((item, index) => {
+    const headers = { ...item.headers };
+    let body = '';
+
+    if (item.data !== undefined && item.data !== null) {
+      body = typeof item.data === 'string' ? item.data : JSON.stringify(item.data);
+      if (!Object.keys(headers).some((name) => name.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] =
+          typeof item.data === 'string' ? 'text/plain' : 'application/json';
+      }
+    }
+
+    const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}`);
+    return [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item-${index}>`,
+      '',
+      `${(item.method || 'GET').toUpperCase()} ${getItemURL(item)} HTTP/1.1`,
+      ...headerLines,
+      '',
+      body,
+    ].join('\r\n');
+  });
+
+  return `${parts.join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * Split a header block into a name -> value map
+ * @private
+ */
+function parseHeaderBlock(lines) {
+  const headers = {};
+  lines.forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+  return headers;
+}
+
+/**
+ * Split a message into its header block and body at the first blank line
+ * @private
+ */
+function splitMessage(message) {
+  const match = message.match(/\r?\n\r?\n/);
+  if (!match) return { head: message.split(/\r?\n/), body: '' };
+  return {
+    head: message.slice(0, match.index).split(/\r?\n/),
+    body: message.slice(match.index + match[0].length),
+  };
+}
+
+/**
+ * Unpack a multipart/mixed batch response
+ * @param {string} text - Response body
+ * @param {string} contentType - Response Content-Type, carrying the boundary
+ * @param {number} count - Number of requests in the batch
+ * @returns {Array<object|null>} { status, statusText, headers, data } per request, null if missing
+ */
+export function parseMultipartBatch(text, contentType, count) {
+  const boundaryMatch = /boundary="?([^";]+)"?/i.exec(contentType || '');
+  if (!boundaryMatch) {
+    throw new Error('Batch response is missing a multipart boundary');
+  }
+
+  const results = new Array(count).fill(null);
+  const delimiter = `--${boundaryMatch[1]}`;
+  const parts = text
+    .split(delimiter)
+    .slice(1)
+    .filter((part) => !part.startsWith('--'));
+
+  parts.forEach((part, position) => {
+    const outer = splitMessage(part.replace(/^\r?\n/, ''));
+    const partHeaders = parseHeaderBlock(outer.head);
+    const idMatch = /item-(\d+)/.exec(partHeaders['content-id'] || '');
+    const index = idMatch ? Number(idMatch[1]) : position;
+
+    const inner = splitMessage(outer.body);
+    const statusMatch = /^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/.exec(inner.head[0] || '');
+    if (!statusMatch || index >= count) return;
+
+    const headers = parseHeaderBlock(inner.head.slice(1));
+    const body = inner.body.replace(/\r?\n$/, '');
+    let data = body || null;
+    if (body && (headers['content-type'] || '').includes('application/json')) {
+      try {
+        data = JSON.parse(body);
+      } catch (e) {
+        data = body;
+      }
+    }
+
+    results[index] = {
+      status: Number(statusMatch[1]),
+      statusText: statusMatch[2],
+      headers,
+      data,
+    };
+  });
+
+  return results;
+}
+
+export default {
+  getItemURL,
+  buildJSONBatch,
+  parseJSONBatch,
+  createBoundary,
+  buildMultipartBatch,
+  parseMultipartBatch,
+};
@@ -0,0 +1,533 @@
+/**
+ * Cache Store Module
+ * Features: Pluggable cache backends for APIService - bounded in-memory LRU,
+ * localStorage, IndexedDB and file-system persistence
+ *
+ * Every store implements the same asynchronous interface:
+ *   get(key)         -> Promise<entry|null>
+ *   set(key, entry)  -> Promise<void>
+ *   delete(key)      -> Promise<void>
+ *   clear()          -> Promise<void>
+ *   keys()           -> Promise<string[]>
+ *   stats()          -> Promise<object>
+ * and may add, for faster invalidation:
+ *   peekAll()        -> Promise<[key, entry][]> without touching LRU order
+ *
+ * An entry is a plain, JSON-serializable object:
+ *   { value, storedAt, expiresAt, staleUntil }
+ * Responses with binary or streamed bodies (Blob, ArrayBuffer, ReadableStream)
+ * only live in memory; the persistent stores skip them rather than store `{}`.
+ * Stores drop entries lazily once `staleUntil` has passed, so no timers are
+ * kept alive per entry.
+ */
+
+/**
+ * Estimate the serialized size of a value in bytes
+ * @param {*} value - Value to measure
+ * @returns {number} Approximate size
+ */
+export function estimateSize(value) {
+  try {
+    return JSON.stringify(value).length;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Check whether an entry's response body survives JSON serialization
+ * @param {object} entry - Cache entry
+ * @returns {boolean} False for Blob, ArrayBuffer, typed array, FormData and stream bodies
+ */
+export function isPersistableEntry(entry) {
+  const data = entry?.value?.data;
+  if (data === null || typeof data !== 'object') return true;
+  return !(
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data) ||
+    (typeof Blob !== 'undefined' && data instanceof Blob) ||
+    (typeof FormData !== 'undefined' && data instanceof FormData) ||
+    (typeof ReadableStream !== 'undefined' && data instanceof ReadableStream)
+  );
+}
+
+/**
+ * Check whether an entry can no longer be served, even as stale
+ * @param {object} entry - Cache entry
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if entry should be dropped
+ */
+export function isEntryExpired(entry, now = Date.now()) {
+  if (!entry) return true;
+  const limit = entry.staleUntil ?? entry.expiresAt;
+  return typeof limit === 'number' && now > limit;
+}
+
+// ============================================================================
+// IN-MEMORY LRU STORE
+// ============================================================================
+
+export class MemoryCacheStore {
+  /**
+   * @param {object} options - Store options
+   * @param {number} options.maxEntries - Maximum number of entries
+   * @param {number} options.maxSize - Maximum total size in bytes
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.maxSize = options.maxSize || 5 * 1024 * 1024; // 5 MB default
+    this.entries = new Map();
+    this.sizes = new Map();
+    this.totalSize = 0;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) return null;
+
+    const entry = this.entries.get(key);
+    if (isEntryExpired(entry)) {
+      this.remove(key);
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.remove(key);
+
+    const size = estimateSize(entry);
+    if (size > this.maxSize) return;
+
+    this.entries.set(key, entry);
+    this.sizes.set(key, size);
+    this.totalSize += size;
+    this.evict();
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.sizes.clear();
+    this.totalSize = 0;
+  }
+
+  async keys() {
+    this.prune();
+    return Array.from(this.entries.keys());
+  }
+
+  async peekAll() {
+    this.prune();
+    return Array.from(this.entries);
+  }
+
+  async stats() {
+    this.prune();
+    return {
+      entries: this.entries.size,
+      totalSize: this.totalSize,
+      maxEntries: this.maxEntries,
+      maxSize: this.maxSize,
+      evictions: this.evictions,
+    };
+  }
+
+  /**
+   * Remove an entry and release its size
+   * @private
+   */
+  remove(key) {
+    if (!this.entries.has(key)) return;
+    this.totalSize -= this.sizes.get(key) || 0;
+    this.entries.delete(key);
+    this.sizes.delete(key);
+  }
+
+  /**
+   * Drop least recently used entries until within bounds
+   * @private
+   */
+  evict() {
+    while (
+      this.entries.size > this.maxEntries ||
+      this.totalSize > this.maxSize
+    ) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Drop all expired entries
+   * @private
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (isEntryExpired(entry, now)) this.remove(key);
+    }
+  }
+}
+
+// ============================================================================
+// LOCALSTORAGE STORE
+// ============================================================================
+
+export class LocalStorageCacheStore {
+  /**
+   * @param {object} options - Store options
+   * @param {Storage} options.storage - Storage implementation (defaults to localStorage)
+   * @param {string} options.prefix - Key prefix used to namespace entries
+   * @param {Function} options.onError - (error, { key }) => void, called when an entry cannot be persisted
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || globalThis.localStorage;
+    this.prefix = options.prefix || 'apicache:';
+    this.onError = options.onError || null;
+
+    if (!this.storage) {
+      throw new Error('LocalStorageCacheStore requires a Storage implementation');
+    }
+  }
+
+  async get(key) {
+    const raw = this.storage.getItem(this.prefix + key);
+    if (raw === null) return null;
+
+    try {
+      const entry = JSON.parse(raw);
+      if (isEntryExpired(entry)) {
+        this.storage.removeItem(this.prefix + key);
+        return null;
+      }
+      return entry;
+    } catch (e) {
+      this.storage.removeItem(this.prefix + key);
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    if (!isPersistableEntry(entry)) {
+      // Drop the previous version so it is not served instead
+      await this.delete(key);
+      return;
+    }
+
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (e) {
+      // Quota exceeded - drop expired entries and try once more
+      await this.prune();
+      try {
+        this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+      } catch (retryError) {
+        this.onError?.(retryError, { key });
+      }
+    }
+  }
+
+  async delete(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  async clear() {
+    this.storageKeys().forEach((storageKey) => this.storage.removeItem(storageKey));
+  }
+
+  async keys() {
+    await this.prune();
+    return this.storageKeys().map((storageKey) =>
+      storageKey.slice(this.prefix.length)
+    );
+  }
+
+  async peekAll() {
+    const pairs = [];
+    for (const storageKey of this.storageKeys()) {
+      const key = storageKey.slice(this.prefix.length);
+      const entry = await this.get(key);
+      if (entry) pairs.push([key, entry]);
+    }
+    return pairs;
+  }
+
+  async stats() {
+    const keys = await this.keys();
+    const totalSize = keys.reduce(
+      (sum, key) => sum + (this.storage.getItem(this.prefix + key) || '').length,
+      0
+    );
+    return { entries: keys.length, totalSize };
+  }
+
+  /**
+   * List raw storage keys owned by this store
+   * @private
+   */
+  storageKeys() {
+    const result = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const storageKey = this.storage.key(i);
+      if (storageKey && storageKey.startsWith(this.prefix)) {
+        result.push(storageKey);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Drop all expired entries
+   * @private
+   */
+  async prune() {
+    for (const storageKey of this.storageKeys()) {
+      await this.get(storageKey.slice(this.prefix.length));
+    }
+  }
+}
+
+// ============================================================================
+// INDEXEDDB STORE
+// ============================================================================
+
+export class IndexedDBCacheStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.dbName - Database name
+   * @param {string} options.storeName - Object store name
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (defaults to global)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'api-cache';
+    this.storeName = options.storeName || 'responses';
+    this.idb = options.indexedDB || globalThis.indexedDB;
+    this.dbPromise = null;
+
+    if (!this.idb) {
+      throw new Error('IndexedDBCacheStore requires an IndexedDB implementation');
+    }
+  }
+
+  /**
+   * Open (or create) the database
+   * @private
+   */
+  openDB() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.idb.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single operation against the object store
+   * @private
+   */
+  async run(mode, operation) {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async get(key) {
+    const entry = await this.run('readonly', (store) => store.get(key));
+    if (!entry) return null;
+    if (isEntryExpired(entry)) {
+      await this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    if (!isPersistableEntry(entry)) {
+      await this.delete(key);
+      return;
+    }
+    await this.run('readwrite', (store) => store.put(entry, key));
+  }
+
+  async delete(key) {
+    await this.run('readwrite', (store) => store.delete(key));
+  }
+
+  async clear() {
+    await this.run('readwrite', (store) => store.clear());
+  }
+
+  async keys() {
+    return (await this.peekAll()).map(([key]) => key);
+  }
+
+  async peekAll() {
+    // One transaction, so keys and entries line up; both come back in key order
+    const db = await this.openDB();
+    const [allKeys, allEntries] = await new Promise((resolve, reject) => {
+      const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+      const keysRequest = store.getAllKeys();
+      const entriesRequest = store.getAll();
+      // Requests in a transaction complete in order, so the keys are ready here
+      entriesRequest.onsuccess = () => resolve([keysRequest.result, entriesRequest.result]);
+      keysRequest.onerror = () => reject(keysRequest.error);
+      entriesRequest.onerror = () => reject(entriesRequest.error);
+    });
+
+    const pairs = [];
+    const expired = [];
+    allKeys.forEach((key, index) => {
+      if (isEntryExpired(allEntries[index])) expired.push(key);
+      else pairs.push([key, allEntries[index]]);
+    });
+    await Promise.all(expired.map((key) => this.delete(key)));
+    return pairs;
+  }
+
+  async stats() {
+    const keys = await this.keys();
+    return { entries: keys.length };
+  }
+}
+
+// ============================================================================
+// FILE-SYSTEM STORE (Node.js)
+// ============================================================================
+
+export class FileSystemCacheStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.directory - Directory holding cache files
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || '.api-cache';
+    this.modulesPromise = null;
+  }
+
+  /**
+   * Lazily load Node.js modules so browser bundles are unaffected
+   * @private
+   */
+  loadModules() {
+    if (!this.modulesPromise) {
+      this.modulesPromise = Promise.all([
+        import('fs/promises'),
+        import('path'),
+        import('crypto'),
+      ]).then(async ([fs, path, crypto]) => {
+        await fs.mkdir(this.directory, { recursive: true });
+        return { fs, path, crypto };
+      });
+    }
+    return this.modulesPromise;
+  }
+
+  /**
+   * Map a cache key to a file path
+   * @private
+   */
+  async filePath(key) {
+    const { path, crypto } = await this.loadModules();
+    const name = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Read a cache file
+   * @private
+   */
+  async readFile(file) {
+    const { fs } = await this.loadModules();
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async get(key) {
+    const file = await this.filePath(key);
+    const record = await this.readFile(file);
+    if (!record) return null;
+    if (isEntryExpired(record.entry)) {
+      await this.delete(key);
+      return null;
+    }
+    return record.entry;
+  }
+
+  async set(key, entry) {
+    if (!isPersistableEntry(entry)) {
+      await this.delete(key);
+      return;
+    }
+    const { fs } = await this.loadModules();
+    await fs.writeFile(await this.filePath(key), JSON.stringify({ key, entry }));
+  }
+
+  async delete(key) {
+    const { fs } = await this.loadModules();
+    await fs.rm(await this.filePath(key), { force: true });
+  }
+
+  async clear() {
+    const { fs, path } = await this.loadModules();
+    const files = await fs.readdir(this.directory);
+    await Promise.all(
+      files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => fs.rm(path.join(this.directory, file), { force: true }))
+    );
+  }
+
+  async keys() {
+    return (await this.peekAll()).map(([key]) => key);
+  }
+
+  async peekAll() {
+    const { fs, path } = await this.loadModules();
+    const files = await fs.readdir(this.directory);
+    const pairs = [];
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      const record = await this.readFile(path.join(this.directory, file));
+      if (!record) continue;
+      if (isEntryExpired(record.entry)) await this.delete(record.key);
+      else pairs.push([record.key, record.entry]);
+    }
+    return pairs;
+  }
+
+  async stats() {
+    const keys = await this.keys();
+    return { entries: keys.length };
+  }
+}
+
+export default {
+  MemoryCacheStore,
+  LocalStorageCacheStore,
+  IndexedDBCacheStore,
+  FileSystemCacheStore,
+  estimateSize,
+  isEntryExpired,
+  isPersistableEntry,
+};
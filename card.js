@@ -0,0 +1,442 @@
+/**
+ * Payment Card Module
+ * Features: Card brand detection from IIN ranges, brand-aware number, expiry
+ * and security code validation, as-you-type formatting, and PCI-friendly
+ * masking helpers
+ *
+ * Validators return the same shape as validatePassword:
+ *   { isValid, feedback: [messages], ...details }
+ * IIN patterns are either a prefix (4) or an inclusive range ([2221, 2720]).
+ * Partial numbers match while the user is still typing, so the brand is
+ * known from the first digits.
+ */
+
+const CARD_BRANDS = [
+  {
+    type: 'visa',
+    name: 'Visa',
+    patterns: [4],
+    lengths: [13, 16, 19],
+    gaps: [4, 8, 12],
+    code: { name: 'CVV', size: 3 },
+    luhn: true,
+  },
+  {
+    type: 'mastercard',
+    name: 'Mastercard',
+    patterns: [[51, 55], [2221, 2720]],
+    lengths: [16],
+    gaps: [4, 8, 12],
+    code: { name: 'CVC', size: 3 },
+    luhn: true,
+  },
+  {
+    type: 'amex',
+    name: 'American Express',
+    patterns: [34, 37],
+    lengths: [15],
+    gaps: [4, 10],
+    code: { name: 'CID', size: 4 },
+    luhn: true,
+  },
+  {
+    type: 'diners',
+    name: 'Diners Club',
+    patterns: [[300, 305], 36, 38, 39],
+    lengths: [14, 16, 19],
+    gaps: [4, 10],
+    code: { name: 'CVV', size: 3 },
+    luhn: true,
+  },
+  {
+    type: 'discover',
+    name: 'Discover',
+    patterns: [6011, [644, 649], 65, [622126, 622925]],
+    lengths: [16, 19],
+    gaps: [4, 8, 12],
+    code: { name: 'CID', size: 3 },
+    luhn: true,
+  },
+  {
+    type: 'jcb',
+    name: 'JCB',
+    patterns: [2131, 1800, [3528, 3589]],
+    lengths: [15, 16, 17, 18, 19],
+    gaps: [4, 8, 12],
+    code: { name: 'CVV', size: 3 },
+    luhn: true,
+  },
+  {
+    type: 'unionpay',
+    name: 'UnionPay',
+    patterns: [62, 81],
+    lengths: [16, 17, 18, 19],
+    gaps: [4, 8, 12],
+    code: { name: 'CVN', size: 3 },
+    // Not every UnionPay card carries a Luhn check digit
+    luhn: false,
+  },
+  {
+    type: 'maestro',
+    name: 'Maestro',
+    patterns: [
+      493698,
+      [500000, 504174],
+      [504176, 506698],
+      [506779, 508999],
+      [56, 59],
+      63,
+      67,
+      6,
+    ],
+    lengths: [12, 13, 14, 15, 16, 17, 18, 19],
+    gaps: [4, 8, 12],
+    code: { name: 'CVC', size: 3 },
+    luhn: true,
+  },
+  {
+    type: 'mir',
+    name: 'Mir',
+    patterns: [[2200, 2204]],
+    lengths: [16, 17, 18, 19],
+    gaps: [4, 8, 12],
+    code: { name: 'CVP2', size: 3 },
+    luhn: true,
+  },
+  {
+    // Israeli domestic cards have no IIN and use their own 9-digit checksum
+    type: 'isracard',
+    name: 'Isracard',
+    patterns: [],
+    lengths: [8, 9],
+    gaps: [],
+    code: { name: 'CVV', size: 3 },
+    luhn: false,
+  },
+];
+
+/**
+ * Keep only the digits of a card number
+ * @private
+ */
+function toDigits(value) {
+  return String(value ?? '').replace(/\D/g, '');
+}
+
+/**
+ * Insert a space before each gap position ('4242424242424242' -> '4242 4242 4242 4242')
+ * @private
+ */
+function insertGaps(value, gaps) {
+  return [...value].reduce(
+    (formatted, char, index) => `${formatted}${gaps.includes(index) ? ' ' : ''}${char}`,
+    ''
+  );
+}
+
+/**
+ * Number of leading digits a pattern matches on, or 0 if it does not match
+ * @private
+ */
+function matchPattern(digits, pattern) {
+  if (Array.isArray(pattern)) {
+    const [min, max] = pattern.map(String);
+    if (digits.length >= min.length) {
+      const head = Number(digits.slice(0, min.length));
+      return head >= Number(min) && head <= Number(max) ? min.length : 0;
+    }
+    // Still typing: the digits so far must fit the start of the range
+    const partial = Number(digits);
+    return partial >= Number(min.slice(0, digits.length)) &&
+      partial <= Number(max.slice(0, digits.length))
+      ? digits.length
+      : 0;
+  }
+
+  const prefix = String(pattern);
+  if (digits.length >= prefix.length) return digits.startsWith(prefix) ? prefix.length : 0;
+  return prefix.startsWith(digits) ? digits.length : 0;
+}
+
+/**
+ * Number of digits needed to match a pattern in full
+ * @private
+ */
+function patternLength(pattern) {
+  return String(Array.isArray(pattern) ? pattern[0] : pattern).length;
+}
+
+/**
+ * Check a number with the Luhn (mod 10) algorithm
+ * @param {string} digits - Card number digits
+ * @returns {boolean} True if the check digit is correct
+ */
+export function luhnCheck(digits) {
+  let sum = 0;
+  let isEven = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+
+    if (isEven) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+
+    sum += digit;
+    isEven = !isEven;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an Isracard number with its weighted mod 11 checksum
+ * @private
+ */
+function isracardCheck(digits) {
+  const padded = digits.padStart(9, '0');
+  const sum = [...padded].reduce((total, digit, index) => total + Number(digit) * (9 - index), 0);
+  return sum % 11 === 0;
+}
+
+/**
+ * Isracard brand if the digits form a complete Isracard number
+ * @private
+ */
+function getIsracard(digits) {
+  const isracard = CARD_BRANDS.find((brand) => brand.type === 'isracard');
+  return isracard.lengths.includes(digits.length) && isracardCheck(digits) ? isracard : null;
+}
+
+/**
+ * Run the brand's check digit algorithm, if it has one
+ * @private
+ */
+function passesChecksum(brand, digits) {
+  if (brand.type === 'isracard') return isracardCheck(digits);
+  return !brand.luhn || luhnCheck(digits);
+}
+
+/**
+ * Detect the card brand from the leading digits
+ * Works on partial numbers; when several brands are still possible the one
+ * with the most specific matching prefix wins, a prefix the digits already
+ * cover beats one they are still growing into, and a remaining tie returns
+ * null until more digits arrive ('3' could be Amex, Diners or JCB).
+ * @param {string} cardNumber - Full or partial card number
+ * @returns {object|null} Brand { type, name, lengths, gaps, code, luhn }, or null
+ */
+export function detectCardBrand(cardNumber) {
+  const digits = toDigits(cardNumber);
+  if (!digits) return null;
+
+  let matches = [];
+  let bestStrength = 0;
+  CARD_BRANDS.forEach((brand) => {
+    brand.patterns.forEach((pattern) => {
+      const strength = matchPattern(digits, pattern);
+      if (strength === 0 || strength < bestStrength) return;
+      if (strength > bestStrength) {
+        matches = [];
+        bestStrength = strength;
+      }
+      matches.push({ brand, complete: digits.length >= patternLength(pattern) });
+    });
+  });
+
+  const complete = matches.filter((match) => match.complete);
+  const candidates = new Set((complete.length > 0 ? complete : matches).map((m) => m.brand));
+  return candidates.size === 1 ? [...candidates][0] : getIsracard(digits);
+}
+
+/**
+ * Validate a card number against its brand's length and checksum rules
+ * @param {string} cardNumber - Card number, spaces and dashes allowed
+ * @param {object} options - Validation options
+ * @param {string[]} options.acceptedBrands - Brand types to accept (default: all)
+ * @returns {object} { isValid, brand, feedback }
+ */
+export function validateCard(cardNumber, options = {}) {
+  const raw = String(cardNumber ?? '').trim();
+  if (!raw) return { isValid: false, brand: null, feedback: ['Card number is required'] };
+
+  if (/[^\d\s-]/.test(raw)) {
+    return { isValid: false, brand: null, feedback: ['Card number must contain only digits'] };
+  }
+
+  // Complete Isracard numbers can start with any digit, including a Visa IIN
+  const digits = toDigits(raw);
+  const brand = getIsracard(digits) || detectCardBrand(digits);
+  const feedback = [];
+
+  if (!brand) {
+    // Unknown issuers still get the generic length and Luhn checks
+    if (digits.length < 13 || digits.length > 19) {
+      feedback.push('Card number must be 13 to 19 digits');
+    } else if (!luhnCheck(digits)) {
+      feedback.push('Card number is invalid');
+    }
+  } else {
+    if (!brand.lengths.includes(digits.length)) {
+      const lengths = brand.lengths.join(', ').replace(/, (\d+)$/, ' or $1');
+      feedback.push(`${brand.name} card numbers must be ${lengths} digits`);
+    } else if (!passesChecksum(brand, digits)) {
+      feedback.push('Card number is invalid');
+    }
+  }
+
+  if (options.acceptedBrands && (!brand || !options.acceptedBrands.includes(brand.type))) {
+    feedback.push(brand ? `${brand.name} cards are not accepted` : 'Card type is not accepted');
+  }
+
+  return { isValid: feedback.length === 0, brand: brand?.type ?? null, feedback };
+}
+
+/**
+ * Parse an expiry date such as '04/27', '4/2027', '0427' or { month, year }
+ * @param {string|object} input - Expiry date
+ * @returns {object|null} { month, year } with a four-digit year, or null
+ */
+export function parseExpiry(input) {
+  let month;
+  let year;
+
+  if (input && typeof input === 'object') {
+    ({ month, year } = input);
+  } else {
+    const text = String(input ?? '').trim();
+    const separated = /^(\d{1,2})\s*[/\-.\s]\s*(\d{2}|\d{4})$/.exec(text);
+    const compact = /^(\d{2})(\d{2}|\d{4})$/.exec(text);
+    const match = separated || compact;
+    if (!match) return null;
+    [, month, year] = match;
+  }
+
+  month = Number(month);
+  year = Number(year);
+  if (!Number.isInteger(month) || !Number.isInteger(year) || month < 1 || month > 12) {
+    return null;
+  }
+  if (year < 100) year += 2000;
+
+  return { month, year };
+}
+
+/**
+ * Validate a card expiry date
+ * Cards are valid through the last day of their expiry month.
+ * @param {string|object} input - Expiry date
+ * @param {object} options - Validation options
+ * @param {Date} options.now - Reference date (default: today)
+ * @param {number} options.maxYearsAhead - Latest plausible expiry (default 20 years)
+ * @returns {object} { isValid, month, year, feedback }
+ */
+export function validateExpiry(input, options = {}) {
+  const { now = new Date(), maxYearsAhead = 20 } = options;
+
+  if (input === null || input === undefined || input === '') {
+    return { isValid: false, month: null, year: null, feedback: ['Expiry date is required'] };
+  }
+
+  const expiry = parseExpiry(input);
+  if (!expiry) {
+    return {
+      isValid: false,
+      month: null,
+      year: null,
+      feedback: ['Expiry date must be in MM/YY format'],
+    };
+  }
+
+  const currentYear = now.getFullYear();
+  const currentMonth = now.getMonth() + 1;
+  const feedback = [];
+
+  if (expiry.year < currentYear || (expiry.year === currentYear && expiry.month < currentMonth)) {
+    feedback.push('Card has expired');
+  } else if (expiry.year > currentYear + maxYearsAhead) {
+    feedback.push('Expiry date is too far in the future');
+  }
+
+  return { isValid: feedback.length === 0, ...expiry, feedback };
+}
+
+/**
+ * Validate a card security code against the brand's code length
+ * @param {string} cvc - Security code
+ * @param {string} card - Card number or brand type; unknown brands accept 3 or 4 digits
+ * @returns {object} { isValid, feedback }
+ */
+export function validateCVC(cvc, card) {
+  const code = String(cvc ?? '').trim();
+  const brand =
+    CARD_BRANDS.find((candidate) => candidate.type === card) ||
+    (card ? detectCardBrand(card) : null);
+  const codeName = brand?.code.name ?? 'Security code';
+
+  if (!code) return { isValid: false, feedback: [`${codeName} is required`] };
+  if (!/^\d+$/.test(code)) {
+    return { isValid: false, feedback: [`${codeName} must contain only digits`] };
+  }
+
+  const sizes = brand ? [brand.code.size] : [3, 4];
+  if (!sizes.includes(code.length)) {
+    return { isValid: false, feedback: [`${codeName} must be ${sizes.join(' or ')} digits`] };
+  }
+  return { isValid: true, feedback: [] };
+}
+
+/**
+ * Format a card number as the user types (4-4-4-4, Amex 4-6-5)
+ * Extra digits beyond the brand's longest number are dropped.
+ * @param {string} input - Current field value
+ * @returns {string} Formatted number
+ */
+export function formatCardNumber(input) {
+  const brand = detectCardBrand(input);
+  const gaps = brand ? brand.gaps : [4, 8, 12];
+  const maxLength = brand ? Math.max(...brand.lengths) : 19;
+  return insertGaps(toDigits(input).slice(0, maxLength), gaps);
+}
+
+/**
+ * Last four digits of a card number
+ * @param {string} cardNumber - Card number
+ * @returns {string} Last four digits
+ */
+export function getLastFour(cardNumber) {
+  return toDigits(cardNumber).slice(-4);
+}
+
+/**
+ * Mask a card number for display, keeping only the last digits
+ * @param {string} cardNumber - Card number
+ * @param {object} options - Masking options
+ * @param {string} options.maskChar - Character replacing hidden digits (default '•')
+ * @param {number} options.visibleDigits - Trailing digits left visible (default 4)
+ * @param {boolean} options.grouped - Group digits like formatCardNumber (default true)
+ * @returns {string} Masked number such as '•••• •••• •••• 4242'
+ */
+export function maskCardNumber(cardNumber, options = {}) {
+  const { maskChar = '•', visibleDigits = 4, grouped = true } = options;
+  const digits = toDigits(cardNumber);
+  const hidden = Math.max(digits.length - visibleDigits, 0);
+  const masked = maskChar.repeat(hidden) + digits.slice(hidden);
+  if (!grouped) return masked;
+
+  const brand = detectCardBrand(digits);
+  return insertGaps(masked, brand ? brand.gaps : [4, 8, 12]);
+}
+
+export default {
+  detectCardBrand,
+  validateCard,
+  parseExpiry,
+  validateExpiry,
+  validateCVC,
+  formatCardNumber,
+  maskCardNumber,
+  getLastFour,
+  luhnCheck,
+};
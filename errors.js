@@ -0,0 +1,284 @@
+/**
+ * API Error Module
+ * Features: Typed error hierarchy for APIService failures with stable codes,
+ * request context, attempt counts, timing and JSON serialization for logging
+ *
+ *   APIError
+ *   ├── HTTPError
+ *   │   ├── ClientError        (4xx)
+ *   │   │   └── TooManyRequestsError (429)
+ *   │   └── ServerError        (5xx)
+ *   ├── NetworkError
+ *   ├── TimeoutError
+ *   ├── AbortError
+ *   ├── RateLimitError     (client-side limit)
+ *   ├── CircuitOpenError
+ *   ├── AuthError          (token refresh)
+ *   ├── ParseError
+ *   ├── ValidationError
+ *   └── GraphQLError
+ */
+
+/**
+ * Read a Retry-After header (seconds or HTTP date) as a delay
+ * @private
+ * @returns {number|null} Milliseconds to wait
+ */
+function getRetryAfterDelay(headers) {
+  const value = headers?.get?.('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export class APIError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details
+   * @param {string} options.code - Stable machine-readable code
+   * @param {object} options.config - Request configuration
+   * @param {string} options.url - Request URL
+   * @param {number} options.attempt - Number of attempts made
+   * @param {object} options.timing - { startedAt, endedAt, duration }
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'ERR_API';
+    this.config = options.config || null;
+    this.url = options.url || null;
+    this.attempt = options.attempt || 0;
+    this.timing = options.timing || null;
+    if (options.cause !== undefined) this.cause = options.cause;
+  }
+
+  /**
+   * Serialize for structured logging
+   * Request bodies and headers are left out so credentials never reach logs.
+   * @returns {object} Plain object
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      request: {
+        method: (this.config?.method || 'GET').toUpperCase(),
+        url: this.url,
+        params: this.config?.params,
+      },
+      attempt: this.attempt,
+      timing: this.timing,
+      cause: this.cause ? { name: this.cause.name, message: this.cause.message } : undefined,
+    };
+  }
+}
+
+export class HTTPError extends APIError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details, plus status, statusText, data and headers
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'ERR_HTTP', ...options });
+    this.status = options.status;
+    this.statusText = options.statusText || '';
+    this.data = options.data;
+    this.headers = options.headers;
+  }
+
+  /**
+   * Create the matching HTTPError subclass for a status code
+   * @param {object} options - Error details including status
+   * @returns {HTTPError} TooManyRequestsError for 429, otherwise ClientError, ServerError or HTTPError
+   */
+  static fromStatus(options) {
+    const message = options.data?.message || `HTTP Error: ${options.status}`;
+    if (options.status === 429) {
+      return new TooManyRequestsError(message, options);
+    }
+    if (options.status >= 400 && options.status < 500) {
+      return new ClientError(message, options);
+    }
+    if (options.status >= 500) {
+      return new ServerError(message, options);
+    }
+    return new HTTPError(message, options);
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      status: this.status,
+      statusText: this.statusText,
+      data: this.data,
+    };
+  }
+}
+
+export class ClientError extends HTTPError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ERR_HTTP_CLIENT', ...options });
+  }
+}
+
+export class TooManyRequestsError extends ClientError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details like HTTPError; retryAfter defaults
+   *   to the delay in the Retry-After header, in milliseconds
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'ERR_HTTP_TOO_MANY_REQUESTS', ...options });
+    this.retryAfter = options.retryAfter ?? getRetryAfterDelay(options.headers);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfter: this.retryAfter };
+  }
+}
+
+export class ServerError extends HTTPError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ERR_HTTP_SERVER', ...options });
+  }
+}
+
+export class NetworkError extends APIError {
+  constructor(message = 'Network request failed', options = {}) {
+    super(message, { code: 'ERR_NETWORK', ...options });
+  }
+}
+
+export class TimeoutError extends APIError {
+  /**
+   * @param {number} timeout - Timeout that was exceeded, in milliseconds
+   * @param {object} options - Error details
+   */
+  constructor(timeout, options = {}) {
+    super(`Request timed out after ${timeout}ms`, { code: 'ERR_TIMEOUT', ...options });
+    this.timeout = timeout;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), timeout: this.timeout };
+  }
+}
+
+export class AbortError extends APIError {
+  constructor(message = 'Request was cancelled', options = {}) {
+    super(message, { code: 'ERR_CANCELED', ...options });
+    this.isCancel = true;
+  }
+}
+
+export class RateLimitError extends APIError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details, plus retryAfter in milliseconds
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'ERR_RATE_LIMIT', ...options });
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfter: this.retryAfter };
+  }
+}
+
+export class CircuitOpenError extends APIError {
+  /**
+   * @param {string} host - Host whose circuit is open
+   * @param {object} options - Error details, plus retryAfter in milliseconds
+   */
+  constructor(host, options = {}) {
+    super(`Circuit breaker is open for ${host}`, { code: 'ERR_CIRCUIT_OPEN', ...options });
+    this.host = host;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), host: this.host, retryAfter: this.retryAfter };
+  }
+}
+
+export class AuthError extends APIError {
+  constructor(message = 'Authentication failed', options = {}) {
+    super(message, { code: 'ERR_AUTH', ...options });
+  }
+}
+
+export class ParseError extends APIError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details, plus the raw body that failed to parse
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'ERR_PARSE', ...options });
+    this.body = options.body;
+  }
+}
+
+export class ValidationError extends APIError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details, plus errors ([{ path, message }]) and
+   *   direction ('request' or 'response')
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'ERR_VALIDATION', ...options });
+    this.errors = options.errors || [];
+    this.direction = options.direction || null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), direction: this.direction, errors: this.errors };
+  }
+}
+
+export class GraphQLError extends APIError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details, plus errors (the GraphQL `errors` array),
+   *   data (partial data returned alongside the errors) and operationName
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'ERR_GRAPHQL', ...options });
+    this.errors = options.errors || [];
+    this.data = options.data ?? null;
+    this.operationName = options.operationName || null;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      operationName: this.operationName,
+      errors: this.errors.map((error) => ({
+        message: error.message,
+        path: error.path,
+        code: error.extensions?.code,
+      })),
+    };
+  }
+}
+
+export default {
+  APIError,
+  HTTPError,
+  ClientError,
+  TooManyRequestsError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  RateLimitError,
+  CircuitOpenError,
+  AuthError,
+  ParseError,
+  ValidationError,
+  GraphQLError,
+};
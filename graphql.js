@@ -0,0 +1,157 @@
+/**
+ * GraphQL Module
+ * Features: Operation parsing, result cache keys and Automatic Persisted
+ * Queries payloads for APIService.graphql
+ */
+
+/**
+ * Strip comments, strings and selection sets, leaving the top-level definitions
+ * @private
+ */
+function getTopLevelSource(query) {
+  let depth = 0;
+  let result = '';
+
+  for (let i = 0; i < query.length; i++) {
+    const char = query[i];
+
+    if (char === '#') {
+      while (i < query.length && query[i] !== '\n') i++;
+      continue;
+    }
+    if (char === '"') {
+      const block = query.startsWith('"""', i);
+      const end = block ? query.indexOf('"""', i + 3) : query.indexOf('"', i + 1);
+      i = end === -1 ? query.length : end + (block ? 2 : 0);
+      continue;
+    }
+    if (char === '{') {
+      if (depth === 0) result += ' { ';
+      depth++;
+      continue;
+    }
+    if (char === '}') {
+      depth--;
+      continue;
+    }
+    if (depth === 0) result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Determine the type and name of the operation in a document
+ * @param {string} query - GraphQL document
+ * @param {string} operationName - Operation to pick when the document has several
+ * @returns {object} { type: 'query' | 'mutation' | 'subscription', name }
+ */
+export function parseOperation(query, operationName) {
+  const source = getTopLevelSource(query);
+  const operations = [];
+  const pattern = /(?:^|[\s}])(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    operations.push({ type: match[1], name: match[2] || null });
+  }
+
+  // The `{ ... }` shorthand is an anonymous query
+  if (operations.length === 0) {
+    return { type: 'query', name: operationName || null };
+  }
+
+  if (operationName) {
+    const operation = operations.find((candidate) => candidate.name === operationName);
+    if (!operation) {
+      throw new Error(`Operation "${operationName}" not found in GraphQL document`);
+    }
+    return operation;
+  }
+
+  return operations[0];
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal variables give equal keys
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Build the cache key prefix for an operation
+ * @param {string} operationName - Operation name; omit for the prefix of every operation
+ * @returns {string} Key prefix shared by all variable sets of the operation
+ */
+export function getOperationCachePrefix(operationName) {
+  return operationName === undefined ? 'graphql:' : `graphql:${operationName}:`;
+}
+
+/**
+ * Build the result cache key for an operation and its variables
+ * The name comes first so `getOperationCachePrefix` still matches every
+ * endpoint, document and variable set of the operation.
+ * @param {string} operationName - Operation name
+ * @param {object} variables - Operation variables
+ * @param {object} options - { endpoint, documentHash } telling same-named operations apart
+ * @returns {string} Cache key
+ */
+export function getOperationCacheKey(operationName, variables = {}, options = {}) {
+  const { endpoint = '', documentHash = '' } = options;
+  return `${getOperationCachePrefix(operationName)}${stableStringify({
+    endpoint,
+    document: documentHash,
+    variables,
+  })}`;
+}
+
+/**
+ * Build a request body, following the Automatic Persisted Queries protocol
+ * when a hash is given: the first attempt sends only the hash.
+ * @param {object} options - { query, variables, operationName, hash, includeQuery }
+ * @returns {object} Request body
+ */
+export function buildGraphQLBody({ query, variables, operationName, hash, includeQuery = true }) {
+  const body = { variables };
+  if (operationName) body.operationName = operationName;
+  if (includeQuery) body.query = query;
+  if (hash) {
+    body.extensions = { persistedQuery: { version: 1, sha256Hash: hash } };
+  }
+  return body;
+}
+
+/**
+ * Check whether the server does not know a persisted query hash yet
+ * @param {object} payload - GraphQL response body
+ * @returns {boolean} True if the query must be resent in full
+ */
+export function isPersistedQueryNotFound(payload) {
+  return (payload?.errors || []).some(
+    (error) =>
+      error.extensions?.code === 'PERSISTED_QUERY_NOT_FOUND' ||
+      error.message === 'PersistedQueryNotFound'
+  );
+}
+
+export default {
+  parseOperation,
+  stableStringify,
+  getOperationCachePrefix,
+  getOperationCacheKey,
+  buildGraphQLBody,
+  isPersistedQueryNotFound,
+};
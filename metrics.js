@@ -0,0 +1,146 @@
+/**
+ * Metrics Module
+ * Features: Per-route request counts, error rates, cache hit counts and
+ * latency percentiles for APIService
+ */
+
+/**
+ * Build a low-cardinality route key from a method and URL
+ * Numeric, UUID and long hex path segments are collapsed to `:id`.
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string} Route key such as 'GET api.example.com/users/:id'
+ */
+export function getRouteKey(method, url) {
+  let host = '';
+  let pathname = url;
+
+  try {
+    const parsed = new URL(url, globalThis.location?.href || 'http://localhost');
+    host = parsed.host;
+    pathname = parsed.pathname;
+  } catch (e) {
+    pathname = String(url).split('?')[0];
+  }
+
+  const normalized = pathname
+    .split('/')
+    .map((segment) =>
+      /^\d+$/.test(segment) ||
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+      /^[0-9a-f]{16,}$/i.test(segment)
+        ? ':id'
+        : segment
+    )
+    .join('/');
+
+  return `${(method || 'GET').toUpperCase()} ${host}${normalized}`;
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} Percentile value
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+export class MetricsCollector {
+  /**
+   * @param {object} options - Collector options
+   * @param {number} options.maxSamples - Latency samples kept per route
+   */
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples || 1000;
+    this.routes = new Map();
+  }
+
+  /**
+   * Record a finished request
+   * @param {string} route - Route key
+   * @param {object} sample - { duration, error, fromCache }
+   */
+  record(route, { duration, error = false, fromCache = false }) {
+    if (!this.routes.has(route)) {
+      this.routes.set(route, {
+        count: 0,
+        errors: 0,
+        cacheHits: 0,
+        totalDuration: 0,
+        maxDuration: 0,
+        samples: [],
+      });
+    }
+
+    const stats = this.routes.get(route);
+    stats.count++;
+    if (error) stats.errors++;
+    if (fromCache) stats.cacheHits++;
+    stats.totalDuration += duration;
+    stats.maxDuration = Math.max(stats.maxDuration, duration);
+
+    // Keep a bounded window of recent samples for percentiles
+    stats.samples.push(duration);
+    if (stats.samples.length > this.maxSamples) {
+      stats.samples.shift();
+    }
+  }
+
+  /**
+   * Summarize the statistics of one route
+   * @private
+   */
+  summarize(stats) {
+    const sorted = [...stats.samples].sort((a, b) => a - b);
+    return {
+      count: stats.count,
+      errors: stats.errors,
+      errorRate: stats.count ? stats.errors / stats.count : 0,
+      cacheHits: stats.cacheHits,
+      latency: {
+        avg: stats.count ? stats.totalDuration / stats.count : null,
+        max: stats.maxDuration,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+      },
+    };
+  }
+
+  /**
+   * Get a snapshot of all metrics
+   * @returns {object} { totals, routes }
+   */
+  snapshot() {
+    const routes = {};
+    const totals = { count: 0, errors: 0, cacheHits: 0 };
+
+    this.routes.forEach((stats, route) => {
+      routes[route] = this.summarize(stats);
+      totals.count += stats.count;
+      totals.errors += stats.errors;
+      totals.cacheHits += stats.cacheHits;
+    });
+
+    totals.errorRate = totals.count ? totals.errors / totals.count : 0;
+    return { totals, routes };
+  }
+
+  /**
+   * Clear all recorded metrics
+   */
+  reset() {
+    this.routes.clear();
+  }
+}
+
+export default {
+  MetricsCollector,
+  getRouteKey,
+  percentile,
+};
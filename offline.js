@@ -0,0 +1,178 @@
+/**
+ * Offline Queue Module
+ * Features: Durable mutation queues for APIService offline mode - in-memory
+ * and IndexedDB stores plus connectivity and transient error detection
+ *
+ * Every store implements the same asynchronous interface:
+ *   getAll()       -> Promise<entry[]> in enqueue order
+ *   put(entry)     -> Promise<void>
+ *   delete(id)     -> Promise<void>
+ *   clear()        -> Promise<void>
+ *
+ * An entry is a plain, structured-cloneable object:
+ *   { id, seq, method, url, config, createdAt, attempts }
+ * where config only holds the serializable request options (data, params,
+ * headers, timeout).
+ */
+
+/**
+ * Check whether an error was caused by lost connectivity rather than the server
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the request never reached the server
+ */
+export function isConnectivityError(error) {
+  if (!error || error.status) return false;
+  if (globalThis.navigator?.onLine === false) return true;
+  return error.code === 'ERR_NETWORK';
+}
+
+/**
+ * Check whether a mutation that failed now may succeed if sent again later
+ * Besides lost connectivity this covers timeouts, throttling, open circuit
+ * breakers and server errors; other client errors fail the same way on replay.
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the mutation should stay queued
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+  if (isConnectivityError(error)) return true;
+  if (['ERR_TIMEOUT', 'ERR_RATE_LIMIT', 'ERR_CIRCUIT_OPEN'].includes(error.code)) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Keep the request options that can be persisted and replayed later
+ * Signals, callbacks and trace state do not survive a reload.
+ * @param {object} config - Request configuration
+ * @returns {object} Serializable configuration
+ */
+export function toQueuedConfig(config) {
+  const queued = {};
+  ['data', 'params', 'headers', 'timeout', 'retry'].forEach((key) => {
+    if (config[key] !== undefined) queued[key] = config[key];
+  });
+  return queued;
+}
+
+/**
+ * Sort entries into replay order
+ * @private
+ */
+function byEnqueueOrder(a, b) {
+  return a.seq - b.seq;
+}
+
+// ============================================================================
+// IN-MEMORY STORE
+// ============================================================================
+
+export class MemoryQueueStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async getAll() {
+    return [...this.entries.values()].sort(byEnqueueOrder);
+  }
+
+  async put(entry) {
+    this.entries.set(entry.id, entry);
+  }
+
+  async delete(id) {
+    this.entries.delete(id);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+// ============================================================================
+// INDEXEDDB STORE
+// ============================================================================
+
+export class IndexedDBQueueStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.dbName - Database name
+   * @param {string} options.storeName - Object store name
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (defaults to global)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'api-offline-queue';
+    this.storeName = options.storeName || 'mutations';
+    this.idb = options.indexedDB || globalThis.indexedDB;
+    this.dbPromise = null;
+
+    if (!this.idb) {
+      throw new Error('IndexedDBQueueStore requires an IndexedDB implementation');
+    }
+  }
+
+  /**
+   * Open (or create) the database
+   * @private
+   */
+  openDB() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.idb.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single operation against the object store
+   * @private
+   */
+  async run(mode, operation) {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAll() {
+    const entries = await this.run('readonly', (store) => store.getAll());
+    return entries.sort(byEnqueueOrder);
+  }
+
+  async put(entry) {
+    await this.run('readwrite', (store) => store.put(entry));
+  }
+
+  async delete(id) {
+    await this.run('readwrite', (store) => store.delete(id));
+  }
+
+  async clear() {
+    await this.run('readwrite', (store) => store.clear());
+  }
+}
+
+/**
+ * Create the default queue store for the current environment
+ * @returns {object} IndexedDB store in browsers, in-memory store elsewhere
+ */
+export function createDefaultQueueStore() {
+  return globalThis.indexedDB ? new IndexedDBQueueStore() : new MemoryQueueStore();
+}
+
+export default {
+  MemoryQueueStore,
+  IndexedDBQueueStore,
+  createDefaultQueueStore,
+  isConnectivityError,
+  isTransientError,
+  toQueuedConfig,
+};
@@ -0,0 +1,205 @@
+/**
+ * Pagination Module
+ * Features: Strategies for walking paginated APIs - RFC 5988 Link headers,
+ * body cursors, page numbers and offset/limit params
+ *
+ * A strategy is created from the paginate() options and exposes:
+ *   first(request)            -> first { url, params }
+ *   next(response, context)   -> next { url, params }, or null when done
+ * where context is { request, items, pageNumber, resolveURL } and
+ * resolveURL(url) resolves a request URL against the service's baseURL.
+ */
+
+/**
+ * Parse an RFC 5988 Link header
+ * @param {string} header - Link header value
+ * @returns {object} Map of rel to { url, ...params }
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  // Split on commas that start a new <...> entry, not commas inside params
+  header.split(/,\s*(?=<)/).forEach((part) => {
+    const match = part.match(/<([^>]*)>(.*)/);
+    if (!match) return;
+
+    const link = { url: match[1] };
+    match[2].split(';').forEach((param) => {
+      const [key, value] = param.split('=').map((piece) => piece && piece.trim());
+      if (key && value !== undefined) {
+        link[key] = value.replace(/^"|"$/g, '');
+      }
+    });
+
+    (link.rel || '').split(/\s+/).filter(Boolean).forEach((rel) => {
+      links[rel] = link;
+    });
+  });
+
+  return links;
+}
+
+/**
+ * Read a value from an object by dot path (e.g. 'meta.next_cursor')
+ * @param {object} obj - Source object
+ * @param {string} path - Dot-separated path
+ * @returns {*} Value, or undefined if missing
+ */
+export function getByPath(obj, path) {
+  if (!path) return obj;
+  return path
+    .split('.')
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+/**
+ * Extract the items of a page
+ * @param {*} data - Response data
+ * @param {string|Function} itemsPath - Dot path or extractor function
+ * @returns {array} Items on the page
+ */
+export function extractItems(data, itemsPath) {
+  if (typeof itemsPath === 'function') return itemsPath(data) || [];
+  if (itemsPath) return getByPath(data, itemsPath) || [];
+  if (Array.isArray(data)) return data;
+  return data?.items ?? data?.data ?? data?.results ?? [];
+}
+
+/**
+ * Follow Link: <...>; rel="next" headers
+ */
+function linkStrategy() {
+  return {
+    first: (request) => request,
+    next(response, { request, resolveURL }) {
+      const next = parseLinkHeader(response.headers?.get?.('link')).next;
+      if (!next) return null;
+
+      // The next URL carries its own query string, so drop the previous params
+      const base = new URL(
+        resolveURL(request.url),
+        globalThis.location?.href || 'http://localhost'
+      );
+      return { url: new URL(next.url, base).toString(), params: undefined };
+    },
+  };
+}
+
+/**
+ * Pass a cursor from the response body back as a query param
+ */
+function cursorStrategy(options) {
+  const cursorPath = options.cursorPath || 'nextCursor';
+  const cursorParam = options.cursorParam || 'cursor';
+
+  return {
+    first: (request) => request,
+    next(response, { request }) {
+      const cursor = getByPath(response.data, cursorPath);
+      if (cursor === null || cursor === undefined || cursor === '') return null;
+      if (options.hasMorePath && !getByPath(response.data, options.hasMorePath)) {
+        return null;
+      }
+      return { ...request, params: { ...request.params, [cursorParam]: cursor } };
+    },
+  };
+}
+
+/**
+ * Increment a page number param
+ */
+function pageStrategy(options) {
+  const pageParam = options.pageParam || 'page';
+  const sizeParam = options.pageSizeParam || 'per_page';
+  const startPage = options.startPage ?? 1;
+
+  return {
+    first: (request) => ({
+      ...request,
+      params: {
+        ...request.params,
+        [pageParam]: startPage,
+        ...(options.pageSize ? { [sizeParam]: options.pageSize } : {}),
+      },
+    }),
+    next(response, { request, items }) {
+      if (items.length === 0) return null;
+      if (options.pageSize && items.length < options.pageSize) return null;
+
+      const page = Number(request.params[pageParam]);
+      if (options.totalPagesPath) {
+        const totalPages = getByPath(response.data, options.totalPagesPath);
+        if (page - startPage + 1 >= totalPages) return null;
+      }
+
+      return { ...request, params: { ...request.params, [pageParam]: page + 1 } };
+    },
+  };
+}
+
+/**
+ * Advance an offset param by the page size
+ */
+function offsetStrategy(options) {
+  const offsetParam = options.offsetParam || 'offset';
+  const limitParam = options.limitParam || 'limit';
+  const pageSize = options.pageSize || 100;
+
+  return {
+    first: (request) => ({
+      ...request,
+      params: { ...request.params, [offsetParam]: 0, [limitParam]: pageSize },
+    }),
+    next(response, { request, items }) {
+      if (items.length < pageSize) return null;
+
+      const offset = Number(request.params[offsetParam]) + items.length;
+      if (options.totalPath && offset >= getByPath(response.data, options.totalPath)) {
+        return null;
+      }
+
+      return { ...request, params: { ...request.params, [offsetParam]: offset } };
+    },
+  };
+}
+
+export const paginationStrategies = {
+  link: linkStrategy,
+  cursor: cursorStrategy,
+  page: pageStrategy,
+  offset: offsetStrategy,
+};
+
+/**
+ * Create the strategy for a set of paginate() options
+ * @param {object} options - Pagination options
+ * @returns {object} Strategy with first() and next()
+ */
+export function createPaginationStrategy(options = {}) {
+  // A custom extractor replaces the built-in next-page logic
+  if (typeof options.getNextPage === 'function') {
+    return {
+      first: (request) => request,
+      next: (response, context) => {
+        const next = options.getNextPage(response, context);
+        return next ? { ...context.request, ...next } : null;
+      },
+    };
+  }
+
+  const strategy = options.strategy || 'link';
+  const factory = typeof strategy === 'function' ? strategy : paginationStrategies[strategy];
+  if (!factory) {
+    throw new Error(`Unknown pagination strategy: ${strategy}`);
+  }
+  return factory(options);
+}
+
+export default {
+  parseLinkHeader,
+  getByPath,
+  extractItems,
+  paginationStrategies,
+  createPaginationStrategy,
+};
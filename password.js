@@ -0,0 +1,958 @@
+/**
+ * Password Strength Module
+ * Features: Offline password strength estimation in the style of zxcvbn -
+ * dictionary words, common and leaked passwords, l33t substitutions,
+ * keyboard walks, repeats, sequences, years and dates, and personal details
+ *
+ * The password is split into the cheapest-to-guess sequence of patterns and
+ * the guesses needed for each are multiplied into a total, which maps to
+ *   score 0 - too guessable (< 10^3 guesses)
+ *   score 1 - very guessable (< 10^6)
+ *   score 2 - somewhat guessable (< 10^8)
+ *   score 3 - safely unguessable (< 10^10)
+ *   score 4 - very unguessable
+ */
+
+// ============================================================================
+// BUNDLED DATA
+// ============================================================================
+
+// Most common passwords from public leak compilations, most frequent first
+const COMMON_PASSWORDS = `
+123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon 123123 baseball abc123
+football monkey letmein 696969 shadow master 666666 qwertyuiop 123321 mustang 1234567890 michael
+654321 superman 1qaz2wsx 7777777 121212 000000 qazwsx 123qwe killer trustno1 jordan jennifer
+zxcvbnm asdfgh hunter buster soccer harley batman andrew tigger sunshine iloveyou 2000 charlie
+robert thomas hockey ranger daniel starwars 112233 george computer michelle jessica pepper 1111
+zxcvbn 555555 11111111 131313 freedom 777777 pass maggie 159753 aaaaaa ginger princess joshua
+cheese amanda summer love ashley nicole chelsea matthew access yankees 987654321 dallas austin
+thunder taylor matrix william corvette hello martin heather secret merlin diamond 1234qwer hammer
+silver 222222 88888888 anthony justin test bailey q1w2e3r4t5 patrick internet scooter orange 11111
+golfer cookie richard samantha bigdog guitar jackson whatever mickey chicken sparky snoopy maverick
+phoenix camaro peanut morgan welcome falcon cowboy ferrari samsung andrea smokey steelers joseph
+mercedes dakota arsenal eagles melissa boomer booboo spider nascar monster tigers yellow xxxxxx
+123123123 gateway marina diablo bulldog qwer1234 compaq purple banana junior hannah 123654 porsche
+lakers iceman money cowboys 987654 london tennis 999999 ncc1701 coffee scooby 0000 miller boston
+q1w2e3r4 brandon yamaha chester mother forever johnny edward 333333 oliver redsox player nikita
+knight fender barney midnight please brandy chicago badboy slayer rangers charles angel flower
+bigdaddy rabbit wizard jasper enter rachel chris steven winner adidas victoria natasha 1q2w3e4r
+jasmine winter prince marine fishing cocacola casper james 232323 raiders 888888 marlboro gandalf
+asdfasdf crystal 87654321 12344321 golden 8675309 blue mike admin admin123 root toor changeme
+default guest login passw0rd password1 password12 password123 p@ssw0rd qwerty123 qwerty1 1q2w3e
+1qaz2wsx3edc zaq12wsx abcd1234 aa123456 123456a a123456 qwe123 iloveyou1 princess1 monkey1
+football1 baseball1 dragon1 superman1 letmein1 welcome1 welcome123 sunshine1 shadow1 master1
+michael1 charlie1 jordan23 azerty 000000000 1111111 12341234 123qweasd qweasdzxc asdf1234 asd123
+zxc123 google facebook linkedin apple iphone adobe123 photoshop loveme lovely babygirl jesus ninja
+hottie shalom maccabi hapoel hallo passwort schatz soleil motdepasse contrasena
+`;
+
+// Frequent English words, most frequent first
+const COMMON_WORDS = `
+the of and to in is you that it he was for on are as with his they at be this have from or one
+had by word but not what all were we when your can said there use an each which she do how their
+if will up other about out many then them these so some her would make like him into time has
+look two more write go see number no way could people my than first water been call who oil its
+now find long down day did get come made may part love baby angel hello life world happy lucky
+magic music summer winter spring autumn money power secret super cool sweet pretty dream heart
+soul night light moon star sun sky ocean river forest mountain fire ice snow rain storm thunder
+shadow silver golden diamond king queen prince princess lord god heaven devil dragon tiger lion
+eagle wolf bear horse dog cat monkey rabbit fish bird house home family friend girl boy man woman
+child mother father sister brother school work game play player team ball soccer football
+baseball hockey tennis golf computer internet phone apple orange banana cherry chocolate coffee
+cheese pizza beer blue red green black white yellow purple pink brown welcome please thank sorry
+forever always never nothing everything something hunter killer master ninja pirate wizard
+knight warrior soldier guitar piano rock metal punk jazz blues car truck bike war peace hope
+faith grace freedom liberty america london paris berlin israel jerusalem
+`;
+
+const L33T_TABLE = {
+  a: ['4', '@'],
+  b: ['8'],
+  c: ['(', '{', '[', '<'],
+  e: ['3'],
+  g: ['6', '9'],
+  i: ['1', '!', '|'],
+  l: ['1', '|', '7'],
+  o: ['0'],
+  s: ['$', '5'],
+  t: ['+', '7'],
+  x: ['%'],
+  z: ['2'],
+};
+
+const QWERTY_ROWS = [
+  ['`1234567890-=', '~!@#$%^&*()_+'],
+  ['qwertyuiop[]\\', 'QWERTYUIOP{}|'],
+  ["asdfghjkl;'", 'ASDFGHJKL:"'],
+  ['zxcvbnm,./', 'ZXCVBNM<>?'],
+];
+
+const KEYPAD_ROWS = [['789'], ['456'], ['123'], ['0']];
+
+const SHIFTED_KEYS = QWERTY_ROWS.map(([, shifted]) => shifted).join('');
+
+const REFERENCE_YEAR = new Date().getFullYear();
+const MIN_YEAR_SPACE = 20;
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const MAX_ANALYZED_LENGTH = 100;
+
+/**
+ * Build a rank lookup from a word list, keeping the first rank of duplicates
+ * @private
+ */
+function buildRankedDictionary(words) {
+  const ranked = new Map();
+  words.forEach((word) => {
+    if (word && !ranked.has(word)) ranked.set(word, ranked.size + 1);
+  });
+  return ranked;
+}
+
+const DICTIONARIES = {
+  passwords: buildRankedDictionary(COMMON_PASSWORDS.trim().split(/\s+/)),
+  words: buildRankedDictionary(COMMON_WORDS.trim().split(/\s+/)),
+};
+
+/**
+ * Build a key adjacency graph from keyboard rows
+ * Every character maps to its neighbours in a fixed direction order, each
+ * neighbour given as 'unshifted' + 'shifted'. Slanted keyboards (qwerty)
+ * offset each row by half a key; keypads are aligned grids.
+ * @private
+ */
+function buildAdjacencyGraph(rows, slanted) {
+  const directions = slanted
+    ? [[0, -1], [-1, -0.5], [-1, 0.5], [0, 1], [1, 0.5], [1, -0.5]]
+    : [[0, -1], [-1, -1], [-1, 0], [-1, 1], [0, 1], [1, 1], [1, 0], [1, -1]];
+
+  // Row 1 of a qwerty keyboard starts half-way between '1' and '2'
+  const offsetOf = (row) => (slanted && row > 0 ? 1 + row / 2 : 0);
+
+  const keys = new Map();
+  rows.forEach(([unshifted, shifted = ''], row) => {
+    [...unshifted].forEach((char, column) => {
+      keys.set(`${row}:${offsetOf(row) + column}`, `${char}${shifted[column] || ''}`);
+    });
+  });
+
+  const graph = {};
+  keys.forEach((key, position) => {
+    const [row, x] = position.split(':').map(Number);
+    const neighbours = directions.map(
+      ([rowStep, xStep]) => keys.get(`${row + rowStep}:${x + xStep}`) || null
+    );
+    [...key].forEach((char) => {
+      graph[char] = neighbours;
+    });
+  });
+  return graph;
+}
+
+/**
+ * Starting positions and average neighbour count of a keyboard graph
+ * @private
+ */
+function describeGraph(graph) {
+  const chars = Object.keys(graph);
+  const degrees = chars.map((char) => graph[char].filter(Boolean).length);
+  return {
+    startingPositions: chars.length,
+    averageDegree: degrees.reduce((sum, degree) => sum + degree, 0) / chars.length,
+  };
+}
+
+const GRAPHS = {
+  qwerty: buildAdjacencyGraph(QWERTY_ROWS, true),
+  keypad: buildAdjacencyGraph(KEYPAD_ROWS, false),
+};
+
+const GRAPH_STATS = {
+  qwerty: describeGraph(GRAPHS.qwerty),
+  keypad: describeGraph(GRAPHS.keypad),
+};
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Turn user details into dictionary words ('Jane Doe', 'jane.doe@x.com')
+ * @private
+ */
+function buildUserDictionary(userInputs) {
+  const words = [];
+  userInputs
+    .filter((input) => input !== null && input !== undefined && input !== '')
+    .forEach((input) => {
+      const text = String(input).toLowerCase();
+      words.push(text, ...text.split(/[^a-z\d]+/).filter((part) => part.length >= 3));
+    });
+  return buildRankedDictionary(words);
+}
+
+/**
+ * Find every substring that is a dictionary entry
+ * @private
+ */
+function dictionaryMatch(password, dictionaries) {
+  const matches = [];
+  const lower = password.toLowerCase();
+
+  Object.entries(dictionaries).forEach(([dictionaryName, ranked]) => {
+    for (let i = 0; i < password.length; i++) {
+      for (let j = i; j < password.length; j++) {
+        const word = lower.slice(i, j + 1);
+        if (ranked.has(word)) {
+          matches.push({
+            pattern: 'dictionary',
+            i,
+            j,
+            token: password.slice(i, j + 1),
+            matchedWord: word,
+            rank: ranked.get(word),
+            dictionaryName,
+            reversed: false,
+            l33t: false,
+          });
+        }
+      }
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Find dictionary words spelled backwards ('drowssap')
+ * @private
+ */
+function reverseDictionaryMatch(password, dictionaries) {
+  const reversed = [...password].reverse().join('');
+  return dictionaryMatch(reversed, dictionaries).map((match) => ({
+    ...match,
+    token: [...match.token].reverse().join(''),
+    reversed: true,
+    i: password.length - 1 - match.j,
+    j: password.length - 1 - match.i,
+  }));
+}
+
+/**
+ * List the ways l33t characters in the password could be read back as letters
+ * @private
+ */
+function enumerateL33tSubstitutions(password) {
+  const options = {};
+  Object.entries(L33T_TABLE).forEach(([letter, substitutes]) => {
+    substitutes.forEach((char) => {
+      if (password.includes(char)) (options[char] = options[char] || []).push(letter);
+    });
+  });
+
+  let substitutions = [{}];
+  Object.entries(options).forEach(([char, letters]) => {
+    substitutions = substitutions
+      .flatMap((substitution) => letters.map((letter) => ({ ...substitution, [char]: letter })))
+      .slice(0, 64);
+  });
+  return Object.keys(options).length > 0 ? substitutions : [];
+}
+
+/**
+ * Find dictionary words hidden behind l33t substitutions ('p4ssw0rd')
+ * @private
+ */
+function l33tMatch(password, dictionaries) {
+  const matches = [];
+  const seen = new Set();
+
+  enumerateL33tSubstitutions(password).forEach((substitution) => {
+    const translated = [...password].map((char) => substitution[char] || char).join('');
+
+    dictionaryMatch(translated, dictionaries).forEach((match) => {
+      const token = password.slice(match.i, match.j + 1);
+      if (token.length <= 1 || token.toLowerCase() === match.matchedWord) return;
+
+      const sub = {};
+      [...token].forEach((char) => {
+        if (substitution[char]) sub[char] = substitution[char];
+      });
+
+      const key = `${match.i}:${match.j}:${match.matchedWord}:${match.dictionaryName}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      matches.push({ ...match, token, l33t: true, sub });
+    });
+  });
+
+  return matches;
+}
+
+/**
+ * Find keyboard walks such as 'qwerty', 'zxcvb' or '7896'
+ * @private
+ */
+function spatialMatch(password) {
+  const matches = [];
+
+  Object.entries(GRAPHS).forEach(([graphName, graph]) => {
+    let i = 0;
+    while (i < password.length - 1) {
+      let j = i + 1;
+      let lastDirection = null;
+      let turns = 0;
+      let shiftedCount = graphName === 'qwerty' && SHIFTED_KEYS.includes(password[i]) ? 1 : 0;
+
+      for (;;) {
+        const neighbours = graph[password[j - 1]] || [];
+        const direction =
+          j < password.length
+            ? neighbours.findIndex((key) => key && key.includes(password[j]))
+            : -1;
+
+        if (direction !== -1) {
+          if (neighbours[direction].indexOf(password[j]) === 1) shiftedCount++;
+          if (lastDirection !== direction) {
+            turns++;
+            lastDirection = direction;
+          }
+          j++;
+        } else {
+          if (j - i > 2) {
+            matches.push({
+              pattern: 'spatial',
+              i,
+              j: j - 1,
+              token: password.slice(i, j),
+              graph: graphName,
+              turns,
+              shiftedCount,
+            });
+          }
+          i = j;
+          break;
+        }
+      }
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Find repeated characters and blocks ('aaa', 'abcabc')
+ * @private
+ */
+function repeatMatch(password, dictionaries) {
+  const matches = [];
+  const greedy = /(.+)\1+/g;
+  const lazy = /(.+?)\1+/g;
+  let lastIndex = 0;
+
+  while (lastIndex < password.length) {
+    greedy.lastIndex = lastIndex;
+    lazy.lastIndex = lastIndex;
+    const greedyMatch = greedy.exec(password);
+    const lazyMatch = lazy.exec(password);
+    if (!greedyMatch) break;
+
+    // 'aabaab' repeats 'aab', not 'a'; the greedy match finds the longer run
+    let match;
+    let baseToken;
+    if (greedyMatch[0].length > lazyMatch[0].length) {
+      match = greedyMatch;
+      baseToken = /^(.+?)\1+$/.exec(match[0])[1];
+    } else {
+      match = lazyMatch;
+      baseToken = match[1];
+    }
+
+    const i = match.index;
+    const j = i + match[0].length - 1;
+    const base = mostGuessableSequence(baseToken, omnimatch(baseToken, dictionaries));
+
+    matches.push({
+      pattern: 'repeat',
+      i,
+      j,
+      token: match[0],
+      baseToken,
+      baseGuesses: base.guesses,
+      repeatCount: match[0].length / baseToken.length,
+    });
+    lastIndex = j + 1;
+  }
+
+  return matches;
+}
+
+/**
+ * Find runs of evenly spaced characters ('abcd', '9753', 'ZYX')
+ * @private
+ */
+function sequenceMatch(password) {
+  const matches = [];
+  if (password.length <= 1) return matches;
+
+  const addMatch = (i, j, delta) => {
+    if ((j - i > 1 || Math.abs(delta) === 1) && delta !== 0 && Math.abs(delta) <= 5) {
+      const token = password.slice(i, j + 1);
+      matches.push({
+        pattern: 'sequence',
+        i,
+        j,
+        token,
+        ascending: delta > 0,
+      });
+    }
+  };
+
+  let i = 0;
+  let lastDelta = null;
+  for (let k = 1; k < password.length; k++) {
+    const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    if (lastDelta === null) lastDelta = delta;
+    if (delta !== lastDelta) {
+      addMatch(i, k - 1, lastDelta);
+      i = k - 1;
+      lastDelta = delta;
+    }
+  }
+  addMatch(i, password.length - 1, lastDelta);
+
+  return matches;
+}
+
+/**
+ * Find recent years ('1987', '2024')
+ * @private
+ */
+function yearMatch(password) {
+  return [...password.matchAll(/19\d\d|20\d\d/g)].map((match) => ({
+    pattern: 'year',
+    i: match.index,
+    j: match.index + match[0].length - 1,
+    token: match[0],
+    year: Number(match[0]),
+  }));
+}
+
+/**
+ * Read three numbers as a plausible day, month and year
+ * @private
+ */
+function toDate(first, second, third) {
+  const candidates = [
+    [third, [first, second]],
+    [first, [second, third]],
+  ];
+
+  const dates = candidates
+    .map(([year, [a, b]]) => {
+      const fullYear = year < 100 ? (year > 50 ? 1900 + year : 2000 + year) : year;
+      if (fullYear < 1000 || fullYear > 2050) return null;
+      if (a >= 1 && a <= 31 && b >= 1 && b <= 12) return { year: fullYear, month: b, day: a };
+      if (b >= 1 && b <= 31 && a >= 1 && a <= 12) return { year: fullYear, month: a, day: b };
+      return null;
+    })
+    .filter(Boolean);
+
+  if (dates.length === 0) return null;
+  return dates.reduce((best, date) =>
+    Math.abs(date.year - REFERENCE_YEAR) < Math.abs(best.year - REFERENCE_YEAR) ? date : best
+  );
+}
+
+// Where to split separator-less dates of each length ('13121990' -> 13 12 1990)
+const DATE_SPLITS = {
+  4: [[1, 2], [2, 3]],
+  5: [[1, 3], [2, 3]],
+  6: [[1, 2], [2, 4], [4, 5]],
+  7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+  8: [[2, 4], [4, 6]],
+};
+
+/**
+ * Find dates with or without separators ('13.12.1990', '131290')
+ * @private
+ */
+function dateMatch(password) {
+  const matches = [];
+
+  for (let i = 0; i < password.length - 3; i++) {
+    for (let j = i + 3; j < Math.min(password.length, i + 10); j++) {
+      const token = password.slice(i, j + 1);
+
+      if (/^\d{4,8}$/.test(token)) {
+        const dates = DATE_SPLITS[token.length]
+          .map(([k, l]) =>
+            toDate(Number(token.slice(0, k)), Number(token.slice(k, l)), Number(token.slice(l)))
+          )
+          .filter(Boolean);
+        if (dates.length > 0) {
+          const date = dates.reduce((best, candidate) =>
+            Math.abs(candidate.year - REFERENCE_YEAR) < Math.abs(best.year - REFERENCE_YEAR)
+              ? candidate
+              : best
+          );
+          matches.push({ pattern: 'date', i, j, token, separator: '', ...date });
+        }
+        continue;
+      }
+
+      const parts = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+      if (parts) {
+        const date = toDate(Number(parts[1]), Number(parts[3]), Number(parts[4]));
+        if (date) matches.push({ pattern: 'date', i, j, token, separator: parts[2], ...date });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Run every matcher over the password
+ * @private
+ */
+function omnimatch(password, dictionaries) {
+  return [
+    ...dictionaryMatch(password, dictionaries),
+    ...reverseDictionaryMatch(password, dictionaries),
+    ...l33tMatch(password, dictionaries),
+    ...spatialMatch(password),
+    ...repeatMatch(password, dictionaries),
+    ...sequenceMatch(password),
+    ...yearMatch(password),
+    ...dateMatch(password),
+  ].sort((a, b) => a.i - b.i || a.j - b.j);
+}
+
+// ============================================================================
+// GUESS ESTIMATION
+// ============================================================================
+
+/**
+ * Binomial coefficient
+ * @private
+ */
+function nCk(n, k) {
+  if (k > n) return 0;
+  let result = 1;
+  for (let d = 1; d <= k; d++) {
+    result = (result * (n - d + 1)) / d;
+  }
+  return result;
+}
+
+/**
+ * Factorial
+ * @private
+ */
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * Number of ways a word could have been capitalized
+ * @private
+ */
+function uppercaseVariations(token) {
+  if (token === token.toLowerCase()) return 1;
+  const startUpper = /^[A-Z][^A-Z]+$/.test(token);
+  const endUpper = /^[^A-Z]+[A-Z]$/.test(token);
+  if (startUpper || endUpper || token === token.toUpperCase()) return 2;
+
+  const upper = [...token].filter((char) => /[A-Z]/.test(char)).length;
+  const lower = [...token].filter((char) => /[a-z]/.test(char)).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) variations += nCk(upper + lower, i);
+  return variations;
+}
+
+/**
+ * Number of ways the l33t substitutions could have been applied
+ * @private
+ */
+function l33tVariations(match) {
+  if (!match.l33t) return 1;
+
+  let variations = 1;
+  Object.entries(match.sub).forEach(([substituted, letter]) => {
+    const chars = [...match.token.toLowerCase()];
+    const subbed = chars.filter((char) => char === substituted).length;
+    const unsubbed = chars.filter((char) => char === letter).length;
+
+    if (subbed === 0 || unsubbed === 0) {
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(subbed, unsubbed); i++) {
+        possibilities += nCk(subbed + unsubbed, i);
+      }
+      variations *= possibilities;
+    }
+  });
+  return variations;
+}
+
+const estimators = {
+  bruteforce: (match) => {
+    const guesses = BRUTEFORCE_CARDINALITY ** match.token.length;
+    const minimum = match.token.length === 1 ? 11 : 51;
+    return Math.max(Number.isFinite(guesses) ? guesses : Number.MAX_VALUE, minimum);
+  },
+
+  dictionary: (match) =>
+    match.rank *
+    uppercaseVariations(match.token) *
+    l33tVariations(match) *
+    (match.reversed ? 2 : 1),
+
+  spatial: (match) => {
+    const { startingPositions, averageDegree } = GRAPH_STATS[match.graph];
+    const length = match.token.length;
+    let guesses = 0;
+
+    for (let i = 2; i <= length; i++) {
+      for (let j = 1; j <= Math.min(match.turns, i - 1); j++) {
+        guesses += nCk(i - 1, j - 1) * startingPositions * averageDegree ** j;
+      }
+    }
+
+    if (match.shiftedCount) {
+      const shifted = match.shiftedCount;
+      const unshifted = length - shifted;
+      if (unshifted === 0) {
+        guesses *= 2;
+      } else {
+        let variations = 0;
+        for (let i = 1; i <= Math.min(shifted, unshifted); i++) {
+          variations += nCk(shifted + unshifted, i);
+        }
+        guesses *= variations;
+      }
+    }
+    return guesses;
+  },
+
+  repeat: (match) => match.baseGuesses * match.repeatCount,
+
+  sequence: (match) => {
+    const first = match.token[0];
+    let base;
+    if ('aAzZ019'.includes(first)) base = 4;
+    else if (/\d/.test(first)) base = 10;
+    else base = 26;
+    return base * match.token.length * (match.ascending ? 1 : 2);
+  },
+
+  year: (match) => Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE),
+
+  date: (match) =>
+    Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE) *
+    365 *
+    (match.separator ? 4 : 1),
+};
+
+/**
+ * Guesses needed to find a match, with a floor for submatches
+ * @private
+ */
+function estimateGuesses(match, password) {
+  if (match.guesses !== undefined) return match.guesses;
+
+  let minimum = 1;
+  if (match.token.length < password.length) {
+    minimum = match.token.length === 1 ? 10 : 50;
+  }
+  match.guesses = Math.max(estimators[match.pattern](match), minimum);
+  return match.guesses;
+}
+
+/**
+ * Pick the sequence of non-overlapping matches that is cheapest to guess
+ * Gaps between matches are filled with bruteforce matches. The total for a
+ * sequence of l matches is l! * product(guesses) + 10000^(l - 1), which
+ * stops long chains of tiny matches from looking weaker than they are.
+ * @private
+ */
+function mostGuessableSequence(password, matches) {
+  const n = password.length;
+  const matchesByEnd = Array.from({ length: n }, () => []);
+  matches.forEach((match) => matchesByEnd[match.j].push(match));
+
+  // optimal[k][l]: best sequence of l matches covering password[0..k]
+  const optimal = Array.from({ length: n }, () => new Map());
+
+  const update = (match, length) => {
+    const k = match.j;
+    let product = estimateGuesses(match, password);
+    if (length > 1) product *= optimal[match.i - 1].get(length - 1).product;
+
+    const guesses =
+      factorial(length) * product + MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (length - 1);
+
+    for (const [otherLength, other] of optimal[k]) {
+      if (otherLength <= length && other.guesses <= guesses) return;
+    }
+    optimal[k].set(length, { match, product, guesses });
+  };
+
+  const bruteforce = (i, j) => ({
+    pattern: 'bruteforce',
+    i,
+    j,
+    token: password.slice(i, j + 1),
+  });
+
+  for (let k = 0; k < n; k++) {
+    matchesByEnd[k].forEach((match) => {
+      if (match.i > 0) {
+        [...optimal[match.i - 1].keys()].forEach((length) => update(match, length + 1));
+      } else {
+        update(match, 1);
+      }
+    });
+
+    update(bruteforce(0, k), 1);
+    for (let i = 1; i <= k; i++) {
+      [...optimal[i - 1]].forEach(([length, { match }]) => {
+        // Two bruteforce matches in a row are just one longer bruteforce match
+        if (match.pattern !== 'bruteforce') update(bruteforce(i, k), length + 1);
+      });
+    }
+  }
+
+  if (n === 0) return { guesses: 1, sequence: [] };
+
+  let best = null;
+  let bestLength = 0;
+  optimal[n - 1].forEach((entry, length) => {
+    if (!best || entry.guesses < best.guesses) {
+      best = entry;
+      bestLength = length;
+    }
+  });
+
+  const sequence = [];
+  let k = n - 1;
+  let length = bestLength;
+  while (k >= 0) {
+    const { match } = optimal[k].get(length);
+    sequence.unshift(match);
+    k = match.i - 1;
+    length--;
+  }
+
+  return { guesses: best.guesses, sequence };
+}
+
+// ============================================================================
+// SCORING AND FEEDBACK
+// ============================================================================
+
+const PERSONAL_DETAILS_WARNING = 'Passwords based on your name or email are easy to guess';
+
+const ATTACK_RATES = {
+  onlineThrottled: 100 / 3600,
+  onlineUnthrottled: 10,
+  offlineSlowHash: 1e4,
+  offlineFastHash: 1e10,
+};
+
+/**
+ * Describe a duration in words
+ * @private
+ */
+function displayTime(seconds) {
+  if (seconds < 1) return 'less than a second';
+
+  const units = [
+    ['second', 1, 60],
+    ['minute', 60, 3600],
+    ['hour', 3600, 86400],
+    ['day', 86400, 86400 * 31],
+    ['month', 86400 * 31, 86400 * 365],
+    ['year', 86400 * 365, 86400 * 365 * 100],
+  ];
+  const unit = units.find(([, , limit]) => seconds < limit);
+  if (!unit) return 'centuries';
+
+  const count = Math.round(seconds / unit[1]);
+  return `${count} ${unit[0]}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Map a guess count to a 0-4 score
+ * @private
+ */
+function toScore(guesses) {
+  const delta = 5;
+  if (guesses < 1e3 + delta) return 0;
+  if (guesses < 1e6 + delta) return 1;
+  if (guesses < 1e8 + delta) return 2;
+  if (guesses < 1e10 + delta) return 3;
+  return 4;
+}
+
+/**
+ * Warning and suggestions for a dictionary match
+ * @private
+ */
+function getDictionaryFeedback(match, isSoleMatch) {
+  let warning = null;
+  if (match.dictionaryName === 'passwords') {
+    if (isSoleMatch && !match.l33t && !match.reversed) {
+      if (match.rank <= 10) warning = 'This is a top-10 common password';
+      else if (match.rank <= 100) warning = 'This is a top-100 common password';
+      else warning = 'This is a very common password';
+    } else if (Math.log10(match.guesses) <= 4) {
+      warning = 'This is similar to a commonly used password';
+    }
+  } else if (match.dictionaryName === 'userInputs') {
+    warning = PERSONAL_DETAILS_WARNING;
+  } else if (isSoleMatch) {
+    warning = 'A word by itself is easy to guess';
+  }
+
+  const suggestions = [];
+  if (/^[A-Z][^A-Z]+$/.test(match.token)) {
+    suggestions.push("Capitalization doesn't help very much");
+  } else if (/^[^a-z]*[A-Z][^a-z]*$/.test(match.token)) {
+    suggestions.push('All-uppercase is almost as easy to guess as all-lowercase');
+  }
+  if (match.reversed && match.token.length >= 4) {
+    suggestions.push("Reversed words aren't much harder to guess");
+  }
+  if (match.l33t) {
+    suggestions.push("Predictable substitutions like '@' instead of 'a' don't help very much");
+  }
+
+  return { warning, suggestions };
+}
+
+/**
+ * Warning and suggestions for the weakest part of the password
+ * @private
+ */
+function getMatchFeedback(match, isSoleMatch) {
+  switch (match.pattern) {
+    case 'dictionary':
+      return getDictionaryFeedback(match, isSoleMatch);
+    case 'spatial':
+      return {
+        warning:
+          match.turns === 1
+            ? 'Straight rows of keys are easy to guess'
+            : 'Short keyboard patterns are easy to guess',
+        suggestions: ['Use a longer keyboard pattern with more turns'],
+      };
+    case 'repeat':
+      return {
+        warning:
+          match.baseToken.length === 1
+            ? 'Repeats like "aaa" are easy to guess'
+            : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"',
+        suggestions: ['Avoid repeated words and characters'],
+      };
+    case 'sequence':
+      return {
+        warning: 'Sequences like abc or 6543 are easy to guess',
+        suggestions: ['Avoid sequences'],
+      };
+    case 'year':
+      return {
+        warning: 'Recent years are easy to guess',
+        suggestions: ['Avoid recent years', 'Avoid years that are associated with you'],
+      };
+    case 'date':
+      return {
+        warning: 'Dates are often easy to guess',
+        suggestions: ['Avoid dates and years that are associated with you'],
+      };
+    default:
+      return { warning: null, suggestions: [] };
+  }
+}
+
+/**
+ * Build feedback for a scored password
+ * @private
+ */
+function getFeedback(score, sequence) {
+  if (sequence.length === 0) {
+    return {
+      warning: null,
+      suggestions: [
+        'Use a few words, avoid common phrases',
+        'No need for symbols, digits, or uppercase letters',
+      ],
+    };
+  }
+  if (score > 2) return { warning: null, suggestions: [] };
+
+  const longest = sequence.reduce((best, match) =>
+    match.token.length > best.token.length ? match : best
+  );
+  const { warning, suggestions } = getMatchFeedback(longest, sequence.length === 1);
+
+  return {
+    warning,
+    suggestions: ['Add another word or two. Uncommon words are better.', ...suggestions],
+  };
+}
+
+/**
+ * Estimate how hard a password is to guess
+ * @param {string} password - Password to check
+ * @param {string[]} userInputs - Personal details to penalize (name, email, username)
+ * @returns {object} { score, guesses, guessesLog10, crackTimesSeconds, crackTimesDisplay,
+ *   feedback, sequence }
+ */
+export function estimatePasswordStrength(password, userInputs = []) {
+  const analyzed = String(password ?? '').slice(0, MAX_ANALYZED_LENGTH);
+  const dictionaries = { ...DICTIONARIES, userInputs: buildUserDictionary(userInputs) };
+
+  const matches = omnimatch(analyzed, dictionaries);
+  const { guesses, sequence } = mostGuessableSequence(analyzed, matches);
+
+  // An attacker who knows the user tries their details first, so passwords
+  // made mostly of them stay weak however the pieces are combined
+  const personal = new Set();
+  matches
+    .filter((match) => match.dictionaryName === 'userInputs')
+    .forEach(({ i, j }) => {
+      for (let k = i; k <= j; k++) personal.add(k);
+    });
+  const isPersonal = personal.size > 0 && personal.size * 2 >= analyzed.length;
+  const score = isPersonal ? Math.min(toScore(guesses), 1) : toScore(guesses);
+
+  const feedback = getFeedback(score, sequence);
+  if (isPersonal && !feedback.warning) feedback.warning = PERSONAL_DETAILS_WARNING;
+
+  const crackTimesSeconds = {};
+  const crackTimesDisplay = {};
+  Object.entries(ATTACK_RATES).forEach(([scenario, rate]) => {
+    crackTimesSeconds[scenario] = guesses / rate;
+    crackTimesDisplay[scenario] = displayTime(guesses / rate);
+  });
+
+  return {
+    score,
+    guesses,
+    guessesLog10: Math.log10(guesses),
+    crackTimesSeconds,
+    crackTimesDisplay,
+    feedback,
+    sequence,
+  };
+}
+
+export default {
+  estimatePasswordStrength,
+};
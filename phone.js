@@ -0,0 +1,511 @@
+/**
+ * Phone Number Module
+ * Features: Offline parsing, validation and formatting of international
+ * phone numbers - country detection, E.164 normalization and number types
+ *
+ * Numbering plans are bundled as per-country metadata:
+ *   code            - Country calling code
+ *   nationalPrefix  - Trunk prefix dialled before national numbers ('0')
+ *   leadingDigits   - Numbers that belong to this country when it shares
+ *                     its calling code with others (Canada within +1)
+ *   types           - Number types in match order, each with the leading
+ *                     digits and lengths of the national significant number
+ *   formats         - Digit groupings for national and international display
+ */
+
+// Area codes that make a +1 number Canadian rather than American
+const CANADIAN_AREA_CODES = [
+  '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382',
+  '403', '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519', '548',
+  '579', '581', '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742', '753',
+  '778', '780', '782', '807', '819', '825', '867', '873', '879', '902', '905',
+];
+
+const NANP_TYPES = {
+  tollFree: { prefix: /^8(?:00|33|44|55|66|77|88)/, lengths: [10] },
+  premiumRate: { prefix: /^900/, lengths: [10] },
+  fixedLineOrMobile: { prefix: /^[2-9]\d{2}[2-9]/, lengths: [10] },
+};
+
+const NANP_FORMATS = [
+  { pattern: /^(\d{3})(\d{3})(\d{4})$/, national: '($1) $2-$3', international: '$1-$2-$3' },
+];
+
+const METADATA = {
+  US: {
+    code: '1',
+    nationalPrefix: '1',
+    types: NANP_TYPES,
+    formats: NANP_FORMATS,
+  },
+  CA: {
+    code: '1',
+    nationalPrefix: '1',
+    leadingDigits: new RegExp(`^(?:${CANADIAN_AREA_CODES.join('|')})`),
+    types: NANP_TYPES,
+    formats: NANP_FORMATS,
+  },
+  IL: {
+    code: '972',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^1800/, lengths: [10] },
+      mobile: { prefix: /^5/, lengths: [9] },
+      voip: { prefix: /^7[2-9]/, lengths: [9] },
+      fixedLine: { prefix: /^[2-489]/, lengths: [8] },
+    },
+    formats: [
+      { pattern: /^([57]\d)(\d{3})(\d{4})$/, national: '0$1-$2-$3', international: '$1-$2-$3' },
+      { pattern: /^(\d)(\d{3})(\d{4})$/, national: '0$1-$2-$3', international: '$1-$2-$3' },
+      { pattern: /^1800(\d{3})(\d{3})$/, national: '1-800-$1-$2', international: '1-800-$1-$2' },
+    ],
+  },
+  GB: {
+    code: '44',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^80[08]/, lengths: [9, 10] },
+      mobile: { prefix: /^7[1-57-9]/, lengths: [10] },
+      voip: { prefix: /^56/, lengths: [10] },
+      fixedLine: { prefix: /^[12]/, lengths: [9, 10] },
+    },
+    formats: [
+      { pattern: /^(7\d{3})(\d{6})$/, national: '0$1 $2', international: '$1 $2' },
+      { pattern: /^(2\d)(\d{4})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+      { pattern: /^(1\d{3})(\d{5,6})$/, national: '0$1 $2', international: '$1 $2' },
+      { pattern: /^(\d{3})(\d{3})(\d{3,4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+    ],
+  },
+  DE: {
+    code: '49',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^800/, lengths: [10] },
+      mobile: { prefix: /^1[5-7]/, lengths: [10, 11] },
+      fixedLine: { prefix: /^[2-9]/, lengths: [6, 7, 8, 9, 10, 11] },
+    },
+    formats: [
+      { pattern: /^(1\d{2})(\d{7,8})$/, national: '0$1 $2', international: '$1 $2' },
+      { pattern: /^(30|40|69|89)(\d{4,9})$/, national: '0$1 $2', international: '$1 $2' },
+      { pattern: /^(800)(\d{7})$/, national: '0$1 $2', international: '$1 $2' },
+    ],
+  },
+  FR: {
+    code: '33',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^80/, lengths: [9] },
+      mobile: { prefix: /^[67]/, lengths: [9] },
+      voip: { prefix: /^9/, lengths: [9] },
+      fixedLine: { prefix: /^[1-5]/, lengths: [9] },
+    },
+    formats: [
+      {
+        pattern: /^(\d)(\d{2})(\d{2})(\d{2})(\d{2})$/,
+        national: '0$1 $2 $3 $4 $5',
+        international: '$1 $2 $3 $4 $5',
+      },
+    ],
+  },
+  ES: {
+    code: '34',
+    nationalPrefix: null,
+    types: {
+      tollFree: { prefix: /^[89]00/, lengths: [9] },
+      mobile: { prefix: /^(?:6|7[1-9])/, lengths: [9] },
+      fixedLine: { prefix: /^[89]/, lengths: [9] },
+    },
+    formats: [
+      {
+        pattern: /^(\d{3})(\d{2})(\d{2})(\d{2})$/,
+        national: '$1 $2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+    ],
+  },
+  IT: {
+    // Italian fixed-line numbers keep their leading 0 in international form
+    code: '39',
+    nationalPrefix: null,
+    types: {
+      tollFree: { prefix: /^80[03]/, lengths: [9] },
+      mobile: { prefix: /^3/, lengths: [9, 10] },
+      fixedLine: { prefix: /^0/, lengths: [6, 7, 8, 9, 10, 11] },
+    },
+    formats: [
+      { pattern: /^(3\d{2})(\d{3})(\d{3,4})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+      { pattern: /^(0[26])(\d{4})(\d{2,4})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+      { pattern: /^(80\d)(\d{6})$/, national: '$1 $2', international: '$1 $2' },
+      { pattern: /^(0\d{2})(\d{3,8})$/, national: '$1 $2', international: '$1 $2' },
+    ],
+  },
+  NL: {
+    code: '31',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^800/, lengths: [7, 8, 9, 10] },
+      mobile: { prefix: /^6[1-58]/, lengths: [9] },
+      fixedLine: { prefix: /^[1-57]/, lengths: [9] },
+    },
+    formats: [
+      { pattern: /^(6)(\d{8})$/, national: '0$1 $2', international: '$1 $2' },
+      { pattern: /^(800)(\d{4,7})$/, national: '0$1 $2', international: '$1 $2' },
+      { pattern: /^(\d{2})(\d{3})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+    ],
+  },
+  BE: {
+    code: '32',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^800/, lengths: [8] },
+      mobile: { prefix: /^4[5-9]/, lengths: [9] },
+      fixedLine: { prefix: /^[1-9]/, lengths: [8] },
+    },
+    formats: [
+      {
+        pattern: /^(4\d{2})(\d{2})(\d{2})(\d{2})$/,
+        national: '0$1 $2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+      {
+        pattern: /^([2-49])(\d{3})(\d{2})(\d{2})$/,
+        national: '0$1 $2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+      {
+        pattern: /^(\d{2})(\d{2})(\d{2})(\d{2})$/,
+        national: '0$1 $2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+    ],
+  },
+  CH: {
+    code: '41',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^800/, lengths: [9] },
+      mobile: { prefix: /^7[5-9]/, lengths: [9] },
+      fixedLine: { prefix: /^(?:[2-6]|9[1-9])/, lengths: [9] },
+    },
+    formats: [
+      {
+        pattern: /^(\d{2})(\d{3})(\d{2})(\d{2})$/,
+        national: '0$1 $2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+    ],
+  },
+  AT: {
+    code: '43',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^800/, lengths: [9, 10, 11, 12] },
+      mobile: { prefix: /^6(?:5[0-3579]|6[013-9]|[7-9]\d)/, lengths: [10, 11, 12, 13] },
+      fixedLine: { prefix: /^[1-57]/, lengths: [5, 6, 7, 8, 9, 10, 11, 12, 13] },
+    },
+    formats: [
+      { pattern: /^(6\d{2})(\d{4,10})$/, national: '0$1 $2', international: '$1 $2' },
+      { pattern: /^(1)(\d{3,12})$/, national: '0$1 $2', international: '$1 $2' },
+    ],
+  },
+  IE: {
+    code: '353',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^1800/, lengths: [10] },
+      mobile: { prefix: /^8[35-9]/, lengths: [9] },
+      fixedLine: { prefix: /^[1-9]/, lengths: [7, 8, 9] },
+    },
+    formats: [
+      { pattern: /^(8\d)(\d{3})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+      { pattern: /^(1)(\d{3})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+    ],
+  },
+  PT: {
+    code: '351',
+    nationalPrefix: null,
+    types: {
+      tollFree: { prefix: /^80[08]/, lengths: [9] },
+      mobile: { prefix: /^9[1-36]/, lengths: [9] },
+      fixedLine: { prefix: /^2/, lengths: [9] },
+    },
+    formats: [
+      { pattern: /^(\d{3})(\d{3})(\d{3})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+    ],
+  },
+  PL: {
+    code: '48',
+    nationalPrefix: null,
+    types: {
+      tollFree: { prefix: /^800/, lengths: [9] },
+      mobile: { prefix: /^(?:45|5[0137]|6[069]|7[2389]|88)/, lengths: [9] },
+      fixedLine: { prefix: /^[1-9]/, lengths: [9] },
+    },
+    formats: [
+      { pattern: /^(\d{3})(\d{3})(\d{3})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+    ],
+  },
+  SE: {
+    code: '46',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^20/, lengths: [8, 9, 10] },
+      mobile: { prefix: /^7[02369]/, lengths: [9] },
+      fixedLine: { prefix: /^[1-9]/, lengths: [7, 8, 9] },
+    },
+    formats: [
+      {
+        pattern: /^(7\d)(\d{3})(\d{2})(\d{2})$/,
+        national: '0$1-$2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+      {
+        pattern: /^(8)(\d{3})(\d{2})(\d{2})$/,
+        national: '0$1-$2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+      {
+        pattern: /^(8)(\d{3})(\d{3})(\d{2})$/,
+        national: '0$1-$2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+    ],
+  },
+  NO: {
+    code: '47',
+    nationalPrefix: null,
+    types: {
+      tollFree: { prefix: /^80[01]/, lengths: [8] },
+      mobile: { prefix: /^[49]/, lengths: [8] },
+      fixedLine: { prefix: /^[235-7]/, lengths: [8] },
+    },
+    formats: [
+      { pattern: /^([49]\d{2})(\d{2})(\d{3})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+      {
+        pattern: /^(\d{2})(\d{2})(\d{2})(\d{2})$/,
+        national: '$1 $2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+    ],
+  },
+  DK: {
+    code: '45',
+    nationalPrefix: null,
+    types: {
+      tollFree: { prefix: /^80/, lengths: [8] },
+      fixedLineOrMobile: { prefix: /^[2-9]/, lengths: [8] },
+    },
+    formats: [
+      {
+        pattern: /^(\d{2})(\d{2})(\d{2})(\d{2})$/,
+        national: '$1 $2 $3 $4',
+        international: '$1 $2 $3 $4',
+      },
+    ],
+  },
+  FI: {
+    code: '358',
+    nationalPrefix: '0',
+    types: {
+      tollFree: { prefix: /^800/, lengths: [9] },
+      mobile: { prefix: /^(?:4|50)/, lengths: [7, 8, 9, 10] },
+      fixedLine: { prefix: /^[1-35-9]/, lengths: [5, 6, 7, 8, 9] },
+    },
+    formats: [
+      { pattern: /^(4\d|50)(\d{3})(\d{2,5})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+    ],
+  },
+  GR: {
+    code: '30',
+    nationalPrefix: null,
+    types: {
+      tollFree: { prefix: /^800/, lengths: [10] },
+      mobile: { prefix: /^69/, lengths: [10] },
+      fixedLine: { prefix: /^2/, lengths: [10] },
+    },
+    formats: [
+      { pattern: /^(\d{3})(\d{3})(\d{4})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+    ],
+  },
+};
+
+// Calling code -> countries sharing it, in METADATA order
+const COUNTRIES_BY_CODE = Object.entries(METADATA).reduce((codes, [country, { code }]) => {
+  (codes[code] = codes[code] || []).push(country);
+  return codes;
+}, {});
+
+const EXTENSION_PATTERN = /(?:\s*(?:;\s*ext=|ext\.?|x|#)\s*)(\d{1,7})$/i;
+
+/**
+ * List the countries with bundled numbering plans
+ * @returns {string[]} ISO 3166-1 alpha-2 country codes
+ */
+export function getSupportedCountries() {
+  return Object.keys(METADATA);
+}
+
+/**
+ * Find the type of a national significant number
+ * @private
+ */
+function getNumberType(metadata, nationalNumber) {
+  const match = Object.entries(metadata.types).find(
+    ([, { prefix, lengths }]) =>
+      lengths.includes(nationalNumber.length) && prefix.test(nationalNumber)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Pick the country of a number among those sharing a calling code
+ * @private
+ */
+function resolveCountry(code, nationalNumber) {
+  const countries = COUNTRIES_BY_CODE[code];
+  return (
+    countries.find((country) => METADATA[country].leadingDigits?.test(nationalNumber)) ||
+    countries.find((country) => !METADATA[country].leadingDigits)
+  );
+}
+
+/**
+ * Strip the trunk prefix when that is what makes the number valid
+ * Handles both '050-123-4567' and the common '+972 050-123-4567' mistake.
+ * @private
+ */
+function toNationalNumber(code, digits) {
+  const candidates = [digits];
+  COUNTRIES_BY_CODE[code].forEach((country) => {
+    const { nationalPrefix } = METADATA[country];
+    if (nationalPrefix && digits.startsWith(nationalPrefix)) {
+      candidates.unshift(digits.slice(nationalPrefix.length));
+    }
+  });
+
+  return (
+    candidates.find((candidate) =>
+      getNumberType(METADATA[resolveCountry(code, candidate)], candidate)
+    ) ?? digits
+  );
+}
+
+/**
+ * Parse a phone number written in national or international form
+ * @param {string} input - Phone number as typed ('+972 50-123-4567', '020 7946 0958')
+ * @param {string} defaultCountry - Country of numbers written without a calling code
+ * @returns {object} { valid, country, countryCallingCode, nationalNumber, e164, type, extension }
+ */
+export function parsePhone(input, defaultCountry) {
+  const result = {
+    valid: false,
+    country: null,
+    countryCallingCode: null,
+    nationalNumber: null,
+    e164: null,
+    type: null,
+    extension: null,
+  };
+  if (input === null || input === undefined) return result;
+
+  let text = String(input).trim();
+  const extension = EXTENSION_PATTERN.exec(text);
+  if (extension) {
+    result.extension = extension[1];
+    text = text.slice(0, extension.index);
+  }
+
+  // Letters are typos or vanity numbers, neither of which can be dialled as is
+  if (/[a-z]/i.test(text)) return result;
+
+  // '+44 (0)20 ...' shows the trunk prefix for national callers only
+  text = text.replace(/\(0\)/, '');
+
+  const defaultMetadata = defaultCountry ? METADATA[defaultCountry.toUpperCase()] : null;
+  let digits = text.replace(/\D/g, '');
+  let international = text.startsWith('+');
+
+  // International dialling prefixes: 00 in most countries, 011 within +1
+  if (!international && defaultMetadata?.code === '1' && digits.startsWith('011')) {
+    digits = digits.slice(3);
+    international = true;
+  } else if (!international && defaultMetadata?.code !== '1' && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  let code;
+  if (international) {
+    code = [1, 2, 3]
+      .map((length) => digits.slice(0, length))
+      .find((candidate) => COUNTRIES_BY_CODE[candidate]);
+    if (!code) return result;
+    digits = digits.slice(code.length);
+  } else {
+    if (!defaultMetadata) return result;
+    code = defaultMetadata.code;
+  }
+
+  const nationalNumber = toNationalNumber(code, digits);
+  const country = resolveCountry(code, nationalNumber);
+  const type = getNumberType(METADATA[country], nationalNumber);
+
+  return {
+    ...result,
+    valid: type !== null,
+    country,
+    countryCallingCode: code,
+    nationalNumber,
+    e164: type !== null ? `+${code}${nationalNumber}` : null,
+    type,
+  };
+}
+
+/**
+ * Format a phone number for display or storage
+ * @param {string|object} input - Phone number, or a parsePhone() result
+ * @param {string} format - 'international', 'national', 'e164' or 'rfc3966'
+ * @param {string} defaultCountry - Country of numbers written without a calling code
+ * @returns {string} Formatted number, or the input unchanged if it is not valid
+ */
+export function formatPhone(input, format = 'international', defaultCountry) {
+  const parsed =
+    input !== null && typeof input === 'object' ? input : parsePhone(input, defaultCountry);
+  if (!parsed.valid) return typeof input === 'string' ? input : '';
+
+  const { country, countryCallingCode, nationalNumber, e164, extension } = parsed;
+  const metadata = METADATA[country];
+  const rule = metadata.formats.find(({ pattern }) => pattern.test(nationalNumber));
+  const style = String(format).toLowerCase().replace(/[^a-z\d]/g, '');
+
+  switch (style) {
+    case 'e164':
+      return e164;
+    case 'rfc3966': {
+      const grouped = rule
+        ? nationalNumber.replace(rule.pattern, rule.international).replace(/\s/g, '-')
+        : nationalNumber;
+      return `tel:+${countryCallingCode}-${grouped}${extension ? `;ext=${extension}` : ''}`;
+    }
+    case 'national': {
+      const formatted = rule
+        ? nationalNumber.replace(rule.pattern, rule.national)
+        : `${metadata.nationalPrefix || ''}${nationalNumber}`;
+      return `${formatted}${extension ? ` ext. ${extension}` : ''}`;
+    }
+    case 'international': {
+      const formatted = rule
+        ? nationalNumber.replace(rule.pattern, rule.international)
+        : nationalNumber;
+      return `+${countryCallingCode} ${formatted}${extension ? ` ext. ${extension}` : ''}`;
+    }
+    default:
+      throw new Error(`Unknown phone number format "${format}"`);
+  }
+}
+
+export default {
+  parsePhone,
+  formatPhone,
+  getSupportedCountries,
+};
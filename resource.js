@@ -0,0 +1,141 @@
+/**
+ * Resource Module
+ * Features: Declarative REST resources for APIService - list/get/create/
+ * update/patch/remove methods sharing headers, schemas and cache policy
+ *
+ * Successful mutations clear the resource's cached listings and the
+ * mutated item, whether or not the service invalidates automatically.
+ */
+
+import { expandPath } from './url.js';
+
+/**
+ * Create a REST resource bound to an APIService instance
+ * @param {APIService} api - Service used to send requests
+ * @param {string} path - Collection path, may contain `:name` placeholders
+ * @param {object} options - Resource options
+ * @param {object} options.headers - Headers sent with every request
+ * @param {object} options.pathParams - Values for placeholders in the collection path
+ * @param {string} options.idParam - Placeholder name of the item ID (default 'id')
+ * @param {object} options.responseSchema - Schema of a single item in responses
+ * @param {object} options.listSchema - Schema of list responses
+ * @param {object} options.requestSchema - Schema of create and update payloads
+ * @param {boolean} options.coerce - Coerce validated data
+ * @param {boolean|number} options.cache - Set to false to bypass the cache for GETs
+ * @param {number} options.cacheTTL - Cache lifetime of GET responses in milliseconds
+ * @param {boolean|number} options.staleWhileRevalidate - Stale window of GET responses
+ * @returns {object} { list, get, create, update, patch, remove }
+ */
+export function createResource(api, path, options = {}) {
+  const {
+    headers,
+    pathParams,
+    idParam = 'id',
+    responseSchema,
+    listSchema,
+    requestSchema,
+    coerce,
+    cache,
+    cacheTTL,
+    staleWhileRevalidate,
+  } = options;
+
+  const collectionPath = path.replace(/\/+$/, '');
+  const itemPath = `${collectionPath}/:${idParam}`;
+
+  // Keys left undefined fall back to the service defaults
+  const cachePolicy = Object.fromEntries(
+    Object.entries({ cache, cacheTTL, staleWhileRevalidate }).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+
+  const withDefaults = (config = {}, id) => ({
+    ...config,
+    coerce: config.coerce ?? coerce,
+    headers: { ...headers, ...config.headers },
+    pathParams: {
+      ...pathParams,
+      ...config.pathParams,
+      ...(id !== undefined ? { [idParam]: id } : {}),
+    },
+  });
+
+  const stripQuery = (url) => (url || '').split(/[?#]/)[0].replace(/\/+$/, '');
+
+  // Drop cached listings of the collection and, for item mutations, the item
+  // and anything below it; `invalidate: false` on the call opts out
+  const invalidateAfter = async (request, config, id) => {
+    const response = await request;
+    if (config.invalidate === false) return response;
+
+    const params = withDefaults(config, id).pathParams;
+    const collectionUrl = stripQuery(api.resolveURL(expandPath(collectionPath, params)));
+    await api.invalidate({
+      predicate: ({ url }) => stripQuery(url) === collectionUrl,
+    });
+    if (id !== undefined) {
+      await api.invalidate({ urlPrefix: expandPath(itemPath, params) });
+    }
+    return response;
+  };
+
+  return {
+    list(params, config = {}) {
+      return api.get(collectionPath, {
+        ...cachePolicy,
+        responseSchema: listSchema,
+        ...withDefaults(config),
+        ...(params ? { params: { ...config.params, ...params } } : {}),
+      });
+    },
+
+    get(id, config = {}) {
+      return api.get(itemPath, {
+        ...cachePolicy,
+        responseSchema,
+        ...withDefaults(config, id),
+      });
+    },
+
+    create(data, config = {}) {
+      return invalidateAfter(
+        api.post(collectionPath, data, {
+          requestSchema,
+          responseSchema,
+          ...withDefaults(config),
+        }),
+        config
+      );
+    },
+
+    update(id, data, config = {}) {
+      return invalidateAfter(
+        api.put(itemPath, data, {
+          requestSchema,
+          responseSchema,
+          ...withDefaults(config, id),
+        }),
+        config,
+        id
+      );
+    },
+
+    // Patches are partial, so the payload is not checked against requestSchema
+    patch(id, data, config = {}) {
+      return invalidateAfter(
+        api.patch(itemPath, data, { responseSchema, ...withDefaults(config, id) }),
+        config,
+        id
+      );
+    },
+
+    remove(id, config = {}) {
+      return invalidateAfter(api.delete(itemPath, withDefaults(config, id)), config, id);
+    },
+  };
+}
+
+export default {
+  createResource,
+};
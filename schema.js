@@ -0,0 +1,249 @@
+/**
+ * Schema Validation Module
+ * Features: Declarative schemas for request payloads and response data -
+ * types, required fields, nested objects, arrays, enums, string formats
+ * backed by the utils.js validators, and optional coercion
+ *
+ * A schema is an object such as:
+ *   {
+ *     type: 'object',
+ *     properties: {
+ *       id: { type: 'integer', required: true },
+ *       email: { type: 'string', format: 'email', required: true },
+ *       phone: { type: 'string', format: 'phone', country: 'US' },
+ *       role: { type: 'string', enum: ['admin', 'member'] },
+ *       createdAt: { type: 'date' },
+ *       tags: { type: 'array', items: 'string' },
+ *     },
+ *   }
+ * A bare type name ('string', 'number', ...) is shorthand for { type }.
+ * The phone format only accepts numbers written without a calling code
+ * (e.g. "(415) 555-2671") when the property names their `country`.
+ */
+
+import {
+  validateEmail,
+  validateURL,
+  validatePhone,
+  validateCreditCard,
+} from './utils.js';
+
+const ISO_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const formats = {
+  email: (value) => validateEmail(value),
+  url: (value) => validateURL(value),
+  phone: (value, { country } = {}) => validatePhone(value, country),
+  'credit-card': (value) => validateCreditCard(value),
+  'date-time': (value) => isISODateString(value),
+  uuid: (value) =>
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+};
+
+/**
+ * Register a custom string format
+ * @param {string} name - Format name used in schemas
+ * @param {Function} validator - (value, schema) => boolean
+ */
+export function registerFormat(name, validator) {
+  formats[name] = validator;
+}
+
+/**
+ * Expand shorthand schemas
+ * @private
+ */
+function normalizeSchema(schema) {
+  return typeof schema === 'string' ? { type: schema } : schema || {};
+}
+
+/**
+ * Check for an ISO 8601 date string that parses to a real date
+ * @private
+ */
+function isISODateString(value) {
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Format a path for error messages
+ * @private
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Convert a value towards the schema type where the conversion is lossless
+ * @private
+ */
+function coerceValue(value, type) {
+  if (type === 'date' && isISODateString(value)) {
+    return new Date(value);
+  }
+  if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Check a value against a primitive type
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'date':
+      // JSON has no date type, so ISO strings count unless coercion turns them into Dates
+      return (value instanceof Date && !isNaN(value.getTime())) || isISODateString(value);
+    case 'any':
+    case undefined:
+      return true;
+    default:
+      throw new Error(`Unknown schema type: ${type}`);
+  }
+}
+
+/**
+ * Validate a value and collect every failing path
+ * @private
+ */
+function validateNode(value, rawSchema, path, errors, options) {
+  const schema = normalizeSchema(rawSchema);
+  const label = path || 'value';
+
+  if (value === null || value === undefined) {
+    if (value === null && !schema.nullable && schema.type !== 'any') {
+      errors.push({ path: label, message: 'must not be null' });
+    }
+    return value;
+  }
+
+  if (options.coerce) {
+    value = coerceValue(value, schema.type);
+  }
+
+  if (!matchesType(value, schema.type)) {
+    errors.push({ path: label, message: `must be of type ${schema.type}` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: label, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: label, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: label, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: label, message: 'does not match the required pattern' });
+    }
+    if (schema.format) {
+      const check = formats[schema.format];
+      if (!check) throw new Error(`Unknown schema format: ${schema.format}`);
+      if (!check(value, schema)) {
+        errors.push({ path: label, message: `must be a valid ${schema.format}` });
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ path: label, message: `must be at least ${schema.min}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ path: label, message: `must be at most ${schema.max}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: label, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: label, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      return value.map((item, index) =>
+        validateNode(item, schema.items, joinPath(path, index), errors, options)
+      );
+    }
+    return value;
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const result = { ...value };
+
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      const property = normalizeSchema(propertySchema);
+      const propertyPath = joinPath(path, key);
+
+      if (value[key] === undefined) {
+        if (property.required) {
+          errors.push({ path: propertyPath, message: 'is required' });
+        }
+        return;
+      }
+
+      result[key] = validateNode(value[key], property, propertyPath, errors, options);
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter((key) => !(key in schema.properties))
+        .forEach((key) => {
+          errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+        });
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {object|string} schema - Schema
+ * @param {object} options - { coerce } - convert ISO strings to Date, numeric strings to numbers, etc.
+ * @returns {object} { valid, errors: [{ path, message }], value } - value is the coerced copy
+ */
+export function validateSchema(value, schema, options = {}) {
+  const errors = [];
+  const result = validateNode(value, schema, '', errors, options);
+
+  const root = normalizeSchema(schema);
+  if (value === undefined && root.required) {
+    errors.push({ path: 'value', message: 'is required' });
+  }
+
+  return { valid: errors.length === 0, errors, value: result };
+}
+
+export default {
+  validateSchema,
+  registerFormat,
+};
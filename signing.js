@@ -0,0 +1,568 @@
+/**
+ * Request Signing Module
+ * Features: Canonical requests, HMAC-SHA256 signatures with timestamp and
+ * nonce headers, an AWS Signature Version 4 compatible profile and
+ * server-side signature verification
+ *
+ * A signer exposes:
+ *   sign(request) -> Promise<headers>
+ * where request is { method, url, headers, body } as sent by APIService and
+ * the result is the full set of headers to send.
+ */
+
+import { hashString, generateSecureRandomString } from './utils.js';
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const encoder = new TextEncoder();
+
+// ============================================================================
+// ENCODING HELPERS
+// ============================================================================
+
+/**
+ * Convert bytes to lowercase hex
+ * @private
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert bytes to base64
+ * @private
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Compare two strings in constant time
+ * @private
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Percent-encode a string as RFC 3986 requires (encodeURIComponent leaves !'()* alone)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+export function encodeRFC3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Decode a URL component, leaving malformed escapes as they are
+ * @private
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// ============================================================================
+// CANONICAL REQUEST
+// ============================================================================
+
+/**
+ * Lowercase header names and flatten values
+ * Accepts plain objects, Headers instances and Node.js request headers.
+ * @param {object|Headers} headers - Headers
+ * @returns {object} Map of lowercase name to value
+ */
+export function normalizeHeaders(headers = {}) {
+  const normalized = {};
+  const entries = [];
+  if (typeof Headers !== 'undefined' && headers instanceof Headers) {
+    headers.forEach((value, name) => entries.push([name, value]));
+  } else {
+    entries.push(...Object.entries(headers));
+  }
+
+  entries.forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(',') : String(value);
+  });
+  return normalized;
+}
+
+/**
+ * Hash a request body as lowercase hex SHA-256
+ * Bodies that cannot be read without consuming them (FormData, streams) are
+ * reported as UNSIGNED-PAYLOAD.
+ * @param {*} body - Request body
+ * @returns {Promise<string>} Payload hash
+ */
+export async function hashPayload(body) {
+  if (body === undefined || body === null) return hashString('');
+  if (typeof body === 'string') return hashString(body);
+  if (body instanceof URLSearchParams) return hashString(body.toString());
+
+  let bytes = null;
+  if (body instanceof ArrayBuffer) bytes = body;
+  else if (ArrayBuffer.isView(body)) bytes = body;
+  else if (typeof Blob !== 'undefined' && body instanceof Blob) bytes = await body.arrayBuffer();
+
+  if (!bytes) return UNSIGNED_PAYLOAD;
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+}
+
+/**
+ * Canonicalize a URL path
+ * @param {string} pathname - Path as it appears in the URL
+ * @param {boolean} doubleEncode - Encode the already-encoded path again (SigV4 for non-S3 services)
+ * @returns {string} Canonical path
+ */
+export function canonicalizePath(pathname, doubleEncode = false) {
+  const path = pathname
+    .split('/')
+    .map((segment) => encodeRFC3986(doubleEncode ? segment : safeDecode(segment)))
+    .join('/');
+  return path || '/';
+}
+
+/**
+ * Canonicalize a query string: encoded pairs sorted by name, then value
+ * @param {string} search - Query string, with or without the leading '?'
+ * @returns {string} Canonical query
+ */
+export function canonicalizeQuery(search) {
+  const pairs = [];
+  new URLSearchParams(search).forEach((value, name) => {
+    pairs.push([encodeRFC3986(name), encodeRFC3986(value)]);
+  });
+
+  return pairs
+    .sort(([nameA, valueA], [nameB, valueB]) =>
+      nameA === nameB ? (valueA < valueB ? -1 : 1) : nameA < nameB ? -1 : 1
+    )
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * Build a canonical request
+ *   METHOD \n PATH \n QUERY \n name:value headers \n signed header names \n payload hash
+ * Headers missing from the request are left out, except `host`, which is
+ * taken from the URL because browsers do not expose it.
+ * @param {object} options - Request parts
+ * @param {string} options.method - HTTP method
+ * @param {string} options.url - Absolute URL, or path with query and a host header
+ * @param {object|Headers} options.headers - Request headers
+ * @param {*} options.body - Request body
+ * @param {string[]} options.signedHeaders - Header names to sign
+ * @param {string} options.payloadHash - Precomputed payload hash
+ * @param {boolean} options.doubleEncodePath - See canonicalizePath
+ * @returns {Promise<object>} { canonicalRequest, signedHeaders, payloadHash }
+ */
+export async function buildCanonicalRequest({
+  method = 'GET',
+  url,
+  headers,
+  body,
+  signedHeaders = ['host'],
+  payloadHash,
+  doubleEncodePath = false,
+}) {
+  const normalized = normalizeHeaders(headers);
+  const parsed = new URL(url, `http://${normalized.host || 'localhost'}`);
+  const hash = payloadHash ?? (await hashPayload(body));
+
+  const values = { ...normalized, host: normalized.host || parsed.host };
+  const names = [...new Set(signedHeaders.map((name) => name.toLowerCase()))]
+    .filter((name) => values[name] !== undefined)
+    .sort();
+
+  const canonicalHeaders = names
+    .map((name) => `${name}:${values[name].trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalizePath(parsed.pathname, doubleEncodePath),
+    canonicalizeQuery(parsed.search),
+    canonicalHeaders,
+    names.join(';'),
+    hash,
+  ].join('\n');
+
+  return { canonicalRequest, signedHeaders: names.join(';'), payloadHash: hash };
+}
+
+/**
+ * Compute an HMAC-SHA256
+ * @param {string|Uint8Array} key - Secret key
+ * @param {string} message - Message to sign
+ * @returns {Promise<Uint8Array>} Signature bytes
+ */
+export async function hmacSHA256(key, message) {
+  const keyData = typeof key === 'string' ? encoder.encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    keyData,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message)));
+}
+
+// ============================================================================
+// GENERIC HMAC PROFILE
+// ============================================================================
+
+const HMAC_DEFAULTS = {
+  keyIdHeader: 'X-Key-Id',
+  timestampHeader: 'X-Timestamp',
+  nonceHeader: 'X-Nonce',
+  signedHeadersHeader: 'X-Signed-Headers',
+  signatureHeader: 'X-Signature',
+  signedHeaders: ['host', 'content-type'],
+  encoding: 'hex', // 'hex' or 'base64'
+};
+
+/**
+ * Build the string signed by the generic profile
+ * @private
+ */
+async function getHMACStringToSign(timestamp, nonce, canonicalRequest) {
+  return ['HMAC-SHA256', timestamp, nonce, await hashString(canonicalRequest)].join('\n');
+}
+
+/**
+ * Create a signer for the generic HMAC-SHA256 profile
+ * The signature covers the timestamp, a random nonce and the canonical request.
+ * @param {object} options - Signer options
+ * @param {string|Uint8Array} options.secret - Shared secret
+ * @param {string} options.keyId - Key identifier sent in `keyIdHeader`
+ * @param {string[]} options.signedHeaders - Header names to sign
+ * @param {string} options.encoding - Signature encoding, 'hex' or 'base64'
+ * @param {string} options.keyIdHeader - Header names of the signature parts;
+ *   also timestampHeader, nonceHeader, signedHeadersHeader and signatureHeader
+ * @returns {object} Signer
+ */
+export function createHMACSigner(options = {}) {
+  const settings = { ...HMAC_DEFAULTS, ...options };
+  if (!settings.secret) {
+    throw new Error('createHMACSigner requires a secret');
+  }
+
+  return {
+    profile: 'hmac',
+
+    async sign(request) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const nonce = generateSecureRandomString(16);
+      const canonical = await buildCanonicalRequest({
+        ...request,
+        signedHeaders: settings.signedHeaders,
+      });
+
+      const stringToSign = await getHMACStringToSign(timestamp, nonce, canonical.canonicalRequest);
+      const bytes = await hmacSHA256(settings.secret, stringToSign);
+
+      return {
+        ...request.headers,
+        ...(settings.keyId ? { [settings.keyIdHeader]: settings.keyId } : {}),
+        [settings.timestampHeader]: timestamp,
+        [settings.nonceHeader]: nonce,
+        [settings.signedHeadersHeader]: canonical.signedHeaders,
+        [settings.signatureHeader]: settings.encoding === 'base64' ? toBase64(bytes) : toHex(bytes),
+      };
+    },
+  };
+}
+
+// ============================================================================
+// AWS SIGNATURE VERSION 4 PROFILE
+// ============================================================================
+
+/**
+ * Derive the SigV4 signing key for a day, region and service
+ * @private
+ */
+async function getSigV4Key(secretAccessKey, dateStamp, region, service) {
+  const dateKey = await hmacSHA256(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = await hmacSHA256(dateKey, region);
+  const serviceKey = await hmacSHA256(regionKey, service);
+  return hmacSHA256(serviceKey, 'aws4_request');
+}
+
+/**
+ * Compute a SigV4 signature
+ * @private
+ */
+async function computeSigV4Signature({ canonicalRequest, amzDate, scope, secretAccessKey }) {
+  const [dateStamp, region, service] = scope.split('/');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, await hashString(canonicalRequest)].join(
+    '\n'
+  );
+  const key = await getSigV4Key(secretAccessKey, dateStamp, region, service);
+  return toHex(await hmacSHA256(key, stringToSign));
+}
+
+/**
+ * Create a signer compatible with AWS Signature Version 4
+ * @param {object} options - Signer options
+ * @param {string} options.accessKeyId - Access key ID
+ * @param {string} options.secretAccessKey - Secret access key
+ * @param {string} options.sessionToken - Session token for temporary credentials
+ * @param {string} options.region - Region, e.g. 'eu-west-1'
+ * @param {string} options.service - Service name, e.g. 'execute-api' or 's3'
+ * @param {string[]} options.signedHeaders - Extra header names to sign
+ * @returns {object} Signer
+ */
+export function createSigV4Signer(options = {}) {
+  const { accessKeyId, secretAccessKey, sessionToken, region, service } = options;
+  if (!accessKeyId || !secretAccessKey || !region || !service) {
+    throw new Error('createSigV4Signer requires accessKeyId, secretAccessKey, region and service');
+  }
+
+  return {
+    profile: 'sigv4',
+
+    async sign(request) {
+      const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+      const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+      const payloadHash = await hashPayload(request.body);
+
+      // Drop any bearer token: SigV4 owns the Authorization header
+      const headers = Object.fromEntries(
+        Object.entries(request.headers || {}).filter(
+          ([name]) => name.toLowerCase() !== 'authorization'
+        )
+      );
+      headers['X-Amz-Date'] = amzDate;
+      headers['X-Amz-Content-Sha256'] = payloadHash;
+      if (sessionToken) headers['X-Amz-Security-Token'] = sessionToken;
+
+      const canonical = await buildCanonicalRequest({
+        ...request,
+        headers,
+        payloadHash,
+        doubleEncodePath: service !== 's3',
+        signedHeaders: [
+          'host',
+          'content-type',
+          ...Object.keys(headers).filter((name) => /^x-amz-/i.test(name)),
+          ...(options.signedHeaders || []),
+        ],
+      });
+
+      const signature = await computeSigV4Signature({
+        canonicalRequest: canonical.canonicalRequest,
+        amzDate,
+        scope,
+        secretAccessKey,
+      });
+
+      headers.Authorization =
+        `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+        `SignedHeaders=${canonical.signedHeaders}, Signature=${signature}`;
+      return headers;
+    },
+  };
+}
+
+// ============================================================================
+// VERIFICATION (server side)
+// ============================================================================
+
+/**
+ * Resolve the secret for a key ID
+ * @private
+ */
+async function resolveSecret(options, keyId) {
+  if (options.getSecret) return options.getSecret(keyId);
+  return options.secret;
+}
+
+/**
+ * Find required headers the request carries but the signature leaves out
+ * Signers skip headers a request does not have, so only present ones count.
+ * @private
+ */
+function findUnsignedHeaders(required, signed, headers) {
+  const covered = signed.map((name) => name.toLowerCase());
+  return [...new Set(required.map((name) => name.toLowerCase()))].filter(
+    (name) => (name === 'host' || headers[name] !== undefined) && !covered.includes(name)
+  );
+}
+
+/**
+ * Verify a request signed with the generic HMAC profile
+ * @private
+ */
+async function verifyHMAC(request, headers, options, now) {
+  const settings = { ...HMAC_DEFAULTS, ...options };
+  const signature = headers[settings.signatureHeader.toLowerCase()];
+  const timestamp = headers[settings.timestampHeader.toLowerCase()];
+  const nonce = headers[settings.nonceHeader.toLowerCase()];
+  const signedHeaders = headers[settings.signedHeadersHeader.toLowerCase()];
+  const keyId = headers[settings.keyIdHeader.toLowerCase()];
+
+  if (!signature || !timestamp || !nonce || signedHeaders === undefined) {
+    return { valid: false, reason: 'Missing signature headers', keyId };
+  }
+
+  if (Math.abs(now - Number(timestamp) * 1000) > settings.maxSkew) {
+    return { valid: false, reason: 'Timestamp outside the allowed clock skew', keyId };
+  }
+
+  const signedNames = signedHeaders ? signedHeaders.split(';') : [];
+  const unsigned = findUnsignedHeaders(
+    settings.requiredHeaders ?? settings.signedHeaders,
+    signedNames,
+    headers
+  );
+  if (unsigned.length > 0) {
+    return { valid: false, reason: `Unsigned required headers: ${unsigned.join(', ')}`, keyId };
+  }
+
+  const secret = await resolveSecret(options, keyId);
+  if (!secret) return { valid: false, reason: 'Unknown key', keyId };
+
+  const canonical = await buildCanonicalRequest({
+    ...request,
+    headers,
+    signedHeaders: signedNames,
+  });
+  const stringToSign = await getHMACStringToSign(timestamp, nonce, canonical.canonicalRequest);
+  const bytes = await hmacSHA256(secret, stringToSign);
+  const expected = settings.encoding === 'base64' ? toBase64(bytes) : toHex(bytes);
+
+  if (!safeEqual(expected, signature)) {
+    return { valid: false, reason: 'Signature mismatch', keyId };
+  }
+
+  // Only remember nonces of valid requests, so forged requests cannot burn them
+  if (options.nonceStore) {
+    if (await options.nonceStore.has(nonce)) {
+      return { valid: false, reason: 'Nonce already used', keyId };
+    }
+    await options.nonceStore.add(nonce, settings.maxSkew * 2);
+  }
+
+  return { valid: true, keyId };
+}
+
+/**
+ * Verify a request signed with the SigV4 profile
+ * @private
+ */
+async function verifySigV4(request, headers, options, now) {
+  const match =
+    /^AWS4-HMAC-SHA256 Credential=([^/]+)\/([^,]+), ?SignedHeaders=([^,]+), ?Signature=([0-9a-f]+)$/.exec(
+      headers.authorization || ''
+    );
+  if (!match) return { valid: false, reason: 'Missing or malformed Authorization header' };
+
+  const [, keyId, scope, signedHeaders, signature] = match;
+  const amzDate = headers['x-amz-date'];
+  if (!amzDate || scope.split('/').length !== 4 || !scope.startsWith(amzDate.slice(0, 8))) {
+    return { valid: false, reason: 'Invalid credential scope or date', keyId };
+  }
+
+  const timestamp = Date.parse(
+    amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')
+  );
+  if (isNaN(timestamp) || Math.abs(now - timestamp) > options.maxSkew) {
+    return { valid: false, reason: 'Timestamp outside the allowed clock skew', keyId };
+  }
+
+  // By default require what the SigV4 signer signs
+  const required = options.requiredHeaders ?? [
+    'host',
+    'content-type',
+    ...Object.keys(headers).filter((name) => name.startsWith('x-amz-')),
+    ...(options.signedHeaders || []),
+  ];
+  const unsigned = findUnsignedHeaders(required, signedHeaders.split(';'), headers);
+  if (unsigned.length > 0) {
+    return { valid: false, reason: `Unsigned required headers: ${unsigned.join(', ')}`, keyId };
+  }
+
+  const secretAccessKey = await resolveSecret(options, keyId);
+  if (!secretAccessKey) return { valid: false, reason: 'Unknown key', keyId };
+
+  // The declared payload hash must match the body that actually arrived
+  const payloadHash = await hashPayload(request.body);
+  const declaredHash = headers['x-amz-content-sha256'];
+  if (declaredHash && declaredHash !== UNSIGNED_PAYLOAD && declaredHash !== payloadHash) {
+    return { valid: false, reason: 'Payload hash mismatch', keyId };
+  }
+
+  const service = scope.split('/')[2];
+  const canonical = await buildCanonicalRequest({
+    ...request,
+    headers,
+    payloadHash: declaredHash || payloadHash,
+    doubleEncodePath: service !== 's3',
+    signedHeaders: signedHeaders.split(';'),
+  });
+  const expected = await computeSigV4Signature({
+    canonicalRequest: canonical.canonicalRequest,
+    amzDate,
+    scope,
+    secretAccessKey,
+  });
+
+  if (!safeEqual(expected, signature)) {
+    return { valid: false, reason: 'Signature mismatch', keyId };
+  }
+  return { valid: true, keyId };
+}
+
+/**
+ * Verify a signed request on the server
+ * @param {object} request - { method, url, headers, body } as received; url may be
+ *   a path with query string (Node's req.url), resolved against the Host header
+ * @param {object} options - Verification options
+ * @param {string} options.profile - 'hmac' (default) or 'sigv4'
+ * @param {string|Uint8Array} options.secret - Shared secret
+ * @param {Function} options.getSecret - (keyId) => secret, for multiple keys
+ * @param {number} options.maxSkew - Allowed clock difference in milliseconds (default 5 minutes)
+ * @param {object} options.nonceStore - { has(nonce), add(nonce, ttl) } to reject replayed HMAC requests
+ * @param {string[]} options.requiredHeaders - Headers the signature must cover when the
+ *   request has them; defaults to the headers the matching signer signs
+ * @returns {Promise<object>} { valid, reason, keyId }
+ */
+export async function verifySignature(request, options = {}) {
+  const settings = { maxSkew: 300000, ...options };
+  const headers = normalizeHeaders(request.headers);
+  const now = settings.now ?? Date.now();
+
+  try {
+    if (settings.profile === 'sigv4') {
+      return await verifySigV4(request, headers, settings, now);
+    }
+    return await verifyHMAC(request, headers, settings, now);
+  } catch (error) {
+    return { valid: false, reason: error.message };
+  }
+}
+
+export default {
+  encodeRFC3986,
+  normalizeHeaders,
+  hashPayload,
+  canonicalizePath,
+  canonicalizeQuery,
+  buildCanonicalRequest,
+  hmacSHA256,
+  createHMACSigner,
+  createSigV4Signer,
+  verifySignature,
+};
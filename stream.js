@@ -0,0 +1,196 @@
+/**
+ * Stream Parsing Module
+ * Features: Incremental readers for streamed response bodies - raw bytes,
+ * decoded text, line-delimited JSON (NDJSON) and Server-Sent Events
+ *
+ * Each reader is an async generator over a WHATWG ReadableStream. Breaking
+ * out of a `for await` loop cancels the underlying stream.
+ */
+
+import { ParseError } from './errors.js';
+
+/**
+ * Read raw chunks from a stream
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<Uint8Array>} Byte chunks
+ */
+export async function* readBytes(body) {
+  if (!body) return;
+
+  const reader = body.getReader();
+  let finished = false;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        finished = true;
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Read decoded text chunks from a stream
+ * @param {ReadableStream} body - Response body
+ * @param {string} encoding - Text encoding
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+export async function* readText(body, encoding = 'utf-8') {
+  const decoder = new TextDecoder(encoding);
+
+  for await (const chunk of readBytes(body)) {
+    const text = decoder.decode(chunk, { stream: true });
+    if (text) yield text;
+  }
+
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+/**
+ * Read lines from a stream, accepting \n, \r\n and \r line endings
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>} Lines without their terminators
+ */
+export async function* readLines(body) {
+  let buffer = '';
+
+  for await (const text of readText(body)) {
+    buffer += text;
+
+    // A trailing \r may be the first half of a \r\n split across chunks
+    const pendingCR = buffer.endsWith('\r');
+    const lines = (pendingCR ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+    buffer = lines.pop() + (pendingCR ? '\r' : '');
+
+    for (const line of lines) {
+      yield line;
+    }
+  }
+
+  buffer = buffer.replace(/\r$/, '');
+  if (buffer) yield buffer;
+}
+
+/**
+ * Parse newline-delimited JSON
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<*>} Parsed values, one per non-empty line
+ */
+export async function* parseNDJSON(body) {
+  let lineNumber = 0;
+
+  for await (const line of readLines(body)) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (e) {
+      throw new ParseError(`Invalid JSON on line ${lineNumber}: ${e.message}`, {
+        cause: e,
+        body: line,
+      });
+    }
+  }
+}
+
+/**
+ * Parse a text/event-stream body following the Server-Sent Events spec
+ * `id` and `retry` fields take effect even when no event is dispatched, so
+ * they are also reported through the optional callbacks as soon as they apply.
+ * @param {ReadableStream} body - Response body
+ * @param {string} lastEventId - Event id carried over from a previous connection
+ * @param {object} options - Parser options
+ * @param {Function} options.onRetry - Called with a new reconnection delay in milliseconds
+ * @param {Function} options.onLastEventId - Called with the last event id when it changes
+ * @returns {AsyncGenerator<Object>} Events as { id, event, data, retry }
+ */
+export async function* parseEventStream(body, lastEventId = null, options = {}) {
+  const { onRetry, onLastEventId } = options;
+  let data = [];
+  let eventType = '';
+  let id = lastEventId;
+  let retry;
+
+  for await (const line of readLines(body)) {
+    // A blank line dispatches the buffered event; the id applies even without data
+    if (line === '') {
+      if (id !== lastEventId) {
+        lastEventId = id;
+        onLastEventId?.(id);
+      }
+      if (data.length > 0) {
+        yield { id, event: eventType || 'message', data: data.join('\n'), retry };
+      }
+      data = [];
+      eventType = '';
+      retry = undefined;
+      continue;
+    }
+
+    // Comment lines keep the connection alive
+    if (line.startsWith(':')) continue;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'data':
+        data.push(value);
+        break;
+      case 'event':
+        eventType = value;
+        break;
+      case 'id':
+        if (!value.includes('\0')) id = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          retry = parseInt(value, 10);
+          onRetry?.(retry);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Pick a stream format from a response Content-Type
+ * @param {string} contentType - Content-Type header value
+ * @returns {string} 'sse', 'ndjson', 'text' or 'bytes'
+ */
+export function detectStreamFormat(contentType = '') {
+  const type = (contentType || '').toLowerCase();
+  if (type.includes('text/event-stream')) return 'sse';
+  if (
+    type.includes('application/x-ndjson') ||
+    type.includes('application/ndjson') ||
+    type.includes('application/jsonl')
+  ) {
+    return 'ndjson';
+  }
+  if (type.startsWith('text/') || type.includes('json')) return 'text';
+  return 'bytes';
+}
+
+export default {
+  readBytes,
+  readText,
+  readLines,
+  parseNDJSON,
+  parseEventStream,
+  detectStreamFormat,
+};
@@ -0,0 +1,79 @@
+/**
+ * Token refresh after 401 responses and refresh failures
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import APIService, { MockTransport, AuthError, HTTPError } from '../api.js';
+
+const authorization = (request) =>
+  request.headers.Authorization || request.headers.authorization;
+
+test('concurrent 401s share one refresh and retry with the new token', async () => {
+  const transport = new MockTransport();
+  transport.onGet(/./, (request) =>
+    authorization(request) === 'Bearer fresh' ? { data: 'ok' } : { status: 401 }
+  );
+  let refreshes = 0;
+  const api = new APIService({
+    baseURL: 'https://api.test',
+    transport,
+    refreshHandler: async () => {
+      refreshes++;
+      return { accessToken: 'fresh', expiresIn: 3600 };
+    },
+  });
+  api.setAuthToken('stale');
+
+  const responses = await Promise.all([
+    api.get('/a', { cache: false }),
+    api.get('/b', { cache: false }),
+  ]);
+
+  assert.deepEqual(
+    responses.map((response) => response.data),
+    ['ok', 'ok']
+  );
+  assert.equal(refreshes, 1);
+});
+
+test('a refresh response without an access token rejects with AuthError', async () => {
+  const transport = new MockTransport();
+  transport.onGet('/me', { status: 401 });
+  const api = new APIService({
+    baseURL: 'https://api.test',
+    transport,
+    refreshHandler: async () => ({}),
+  });
+  api.setAuthToken('stale');
+  const expired = [];
+  api.on('authExpired', ({ error }) => expired.push(error));
+
+  await assert.rejects(api.get('/me'), AuthError);
+  assert.equal(expired.length, 1);
+  assert.equal(api.authToken, null);
+});
+
+test('a failed OAuth refresh grant keeps the HTTP error as the cause', async () => {
+  const transport = new MockTransport();
+  transport.onPost('/oauth/token', { status: 400, data: { error: 'invalid_grant' } });
+  const api = new APIService({
+    baseURL: 'https://api.test',
+    transport,
+    oauth: { tokenEndpoint: '/oauth/token' },
+  });
+  api.refreshToken = 'expired';
+
+  await assert.rejects(api.refreshAuthToken(), (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.code, 'ERR_AUTH');
+    assert.ok(error.cause instanceof HTTPError);
+    assert.equal(error.cause.status, 400);
+    return true;
+  });
+});
+
+test('refreshing without a handler or token endpoint rejects', async () => {
+  const api = new APIService({ baseURL: 'https://api.test', transport: new MockTransport() });
+  await assert.rejects(api.refreshAuthToken(), AuthError);
+});
@@ -0,0 +1,114 @@
+/**
+ * Request deduplication, response caching and stale-while-revalidate
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import APIService, { MockTransport } from '../api.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createService(options = {}) {
+  const transport = new MockTransport();
+  const api = new APIService({ baseURL: 'https://api.test', transport, ...options });
+  return { api, transport };
+}
+
+test('identical concurrent GETs share one request', async () => {
+  const { api, transport } = createService();
+  transport.onGet('/users', { data: { list: [1] } }, { delay: 10 });
+
+  const [first, second] = await Promise.all([api.get('/users'), api.get('/users')]);
+
+  assert.equal(transport.history.length, 1);
+  assert.deepEqual(first.data, second.data);
+  second.data.list.push(2);
+  assert.deepEqual(first.data, { list: [1] });
+});
+
+test('GETs with different negotiating headers are not deduplicated', async () => {
+  const { api, transport } = createService();
+  transport.onGet('/report', { data: 'ok' }, { delay: 10 });
+
+  await Promise.all([
+    api.get('/report', { headers: { Accept: 'application/json' } }),
+    api.get('/report', { headers: { Accept: 'text/csv' } }),
+  ]);
+
+  assert.equal(transport.history.length, 2);
+});
+
+test('cached responses are served as copies', async () => {
+  const { api, transport } = createService();
+  transport.onGet('/users', { data: { list: [1] } });
+
+  const first = await api.get('/users');
+  first.data.list.push(2);
+  const second = await api.get('/users');
+
+  assert.equal(transport.history.length, 1);
+  assert.equal(second.fromCache, true);
+  assert.deepEqual(second.data, { list: [1] });
+});
+
+test('clearCache accepts a request URL or a key without the identity', async () => {
+  const { api, transport } = createService();
+  transport.onGet(/./, { data: 1 });
+
+  await api.get('/a');
+  await api.get('/b', { params: { q: 1 } });
+  api.clearCache('GET:https://api.test/a:');
+  api.clearCache('/b', { params: { q: 1 } });
+
+  assert.equal((await api.getCacheStats()).entries, 0);
+});
+
+test('stale entries are served while they revalidate in the background', async () => {
+  const { api, transport } = createService({ cacheTTL: 5, staleWhileRevalidate: 60000 });
+  let version = 0;
+  transport.onGet('/config', () => ({ data: { version: ++version } }));
+
+  await api.get('/config');
+  await sleep(10);
+  const stale = await api.get('/config');
+  assert.deepEqual(stale.data, { version: 1 });
+
+  await sleep(10);
+  const refreshed = await api.get('/config');
+  assert.deepEqual(refreshed.data, { version: 2 });
+});
+
+test('failed revalidations are reported as events', async () => {
+  const { api, transport } = createService({
+    cacheTTL: 5,
+    staleWhileRevalidate: 60000,
+    maxRetries: 1,
+    retryDelay: 1,
+  });
+  transport.onGet('/config', { data: 1 }, { times: 1 });
+  transport.onGet('/config', { status: 404 });
+  const errors = [];
+  api.on('cache:revalidate-error', ({ error }) => errors.push(error.status));
+
+  await api.get('/config');
+  await sleep(10);
+  await api.get('/config');
+  await sleep(10);
+
+  assert.deepEqual(errors, [404]);
+});
+
+test('resource mutations invalidate listings and the item without autoInvalidate', async () => {
+  const { api, transport } = createService({ autoInvalidate: false });
+  transport.onGet(/./, { data: [] });
+  transport.onPut(/./, { data: {} });
+  const users = api.resource('/users');
+
+  await users.list();
+  await users.get(1);
+  await users.get(2);
+  await users.update(1, { name: 'Ada' });
+
+  // Only the untouched item stays cached
+  assert.equal((await api.getCacheStats()).entries, 1);
+});
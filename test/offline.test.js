@@ -0,0 +1,75 @@
+/**
+ * Offline mutation queue and replay
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import APIService, { MockTransport, MemoryQueueStore } from '../api.js';
+
+function createOfflineService(offline = {}) {
+  const transport = new MockTransport();
+  const state = { online: false };
+  const api = new APIService({
+    baseURL: 'https://api.test',
+    transport,
+    retryDelay: 1,
+    offline: { store: new MemoryQueueStore(), autoReplay: false, ...offline },
+  });
+  return { api, transport, state };
+}
+
+test('mutations made offline are queued and replayed in order', async () => {
+  const { api, transport, state } = createOfflineService();
+  const sent = [];
+  transport.onAny('/notes/*', (request) => {
+    if (!state.online) throw new TypeError('Failed to fetch');
+    sent.push(`${request.method} ${new URL(request.url).pathname}`);
+    return { data: { ok: true } };
+  });
+
+  const queued = await api.post('/notes/1', { text: 'a' });
+  await api.put('/notes/2', { text: 'b' });
+  assert.equal(queued.queued, true);
+  assert.equal(await api.getPendingCount(), 2);
+
+  state.online = true;
+  const result = await api.syncOfflineQueue();
+
+  assert.equal(result.replayed, 2);
+  assert.equal(result.remaining, 0);
+  assert.deepEqual(sent, ['POST /notes/1', 'PUT /notes/2']);
+});
+
+test('conflicts go to onConflict and other failures are dropped', async () => {
+  const { api, transport, state } = createOfflineService({
+    onConflict: (entry) => ({ data: { ...entry.config.data, merged: true } }),
+  });
+  transport.onAny('/notes/*', (request) => {
+    if (!state.online) throw new TypeError('Failed to fetch');
+    if (request.url.endsWith('/conflict') && !JSON.parse(request.body).merged) {
+      return { status: 409 };
+    }
+    if (request.url.endsWith('/invalid')) return { status: 422 };
+    return { data: {} };
+  });
+  const failed = [];
+  api.on('offline:failed', ({ error }) => failed.push(error.status));
+
+  await api.put('/notes/conflict', { text: 'a' });
+  await api.put('/notes/invalid', { text: 'b' });
+  state.online = true;
+  const result = await api.syncOfflineQueue();
+
+  assert.equal(result.replayed, 1);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(failed, [422]);
+  assert.equal(await api.getPendingCount(), 0);
+});
+
+test('GETs are never queued', async () => {
+  const { api, transport } = createOfflineService();
+  transport.networkErrorOn('GET', '/notes');
+
+  await assert.rejects(api.get('/notes', { retry: false }), { code: 'ERR_NETWORK' });
+  assert.equal(await api.getPendingCount(), 0);
+});
@@ -0,0 +1,88 @@
+/**
+ * Retry policy, circuit breaker and rate limit errors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import APIService, {
+  MockTransport,
+  ClientError,
+  HTTPError,
+  RateLimitError,
+  TooManyRequestsError,
+} from '../api.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('retryable statuses are retried until they succeed', async () => {
+  const transport = new MockTransport();
+  transport.onGet('/flaky', { status: 503 }, { times: 2 });
+  transport.onGet('/flaky', { data: 'ok' });
+  const api = new APIService({ baseURL: 'https://api.test', transport, retryDelay: 1 });
+
+  const response = await api.get('/flaky', { cache: false });
+
+  assert.equal(response.data, 'ok');
+  assert.equal(transport.history.length, 3);
+});
+
+test('POSTs are not retried without an idempotency key', async () => {
+  const transport = new MockTransport();
+  transport.onPost('/orders', { status: 503 });
+  const api = new APIService({ baseURL: 'https://api.test', transport, retryDelay: 1 });
+
+  await assert.rejects(api.post('/orders', {}), { status: 503 });
+  assert.equal(transport.history.length, 1);
+});
+
+test('the circuit opens after repeated failures and half-opens after the timeout', async () => {
+  const transport = new MockTransport();
+  transport.onGet('/down', { status: 500 }, { times: 2 });
+  transport.onGet('/down', { data: 'back' });
+  const api = new APIService({
+    baseURL: 'https://api.test',
+    transport,
+    circuitBreaker: { failureThreshold: 2, resetTimeout: 20 },
+  });
+
+  await assert.rejects(api.get('/down', { retry: false, cache: false }), { status: 500 });
+  await assert.rejects(api.get('/down', { retry: false, cache: false }), { status: 500 });
+  await assert.rejects(api.get('/down', { retry: false, cache: false }), {
+    code: 'ERR_CIRCUIT_OPEN',
+  });
+  assert.equal(transport.history.length, 2);
+
+  await sleep(30);
+  const response = await api.get('/down', { retry: false, cache: false });
+  assert.equal(response.data, 'back');
+  assert.equal(api.getCircuitBreakerStatus()['api.test'].state, 'closed');
+});
+
+test('a 429 response is a ClientError that carries Retry-After', async () => {
+  const transport = new MockTransport();
+  transport.onGet('/busy', { status: 429, headers: { 'retry-after': '2' } });
+  const api = new APIService({ baseURL: 'https://api.test', transport });
+
+  await assert.rejects(api.get('/busy', { retry: false }), (error) => {
+    assert.ok(error instanceof TooManyRequestsError);
+    assert.ok(error instanceof ClientError);
+    assert.ok(error instanceof HTTPError);
+    assert.ok(!(error instanceof RateLimitError));
+    assert.equal(error.retryAfter, 2000);
+    return true;
+  });
+});
+
+test('reading the rate limit status creates no buckets', () => {
+  const api = new APIService({
+    baseURL: 'https://api.test',
+    transport: new MockTransport(),
+    rateLimit: { scope: 'host' },
+  });
+
+  const status = api.getRateLimitStatus();
+  api.getRateLimitStatus('https://other.test/x');
+
+  assert.equal(status.requestsInWindow, 0);
+  assert.equal(api.rateLimitBuckets.size, 0);
+});
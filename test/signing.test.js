@@ -0,0 +1,96 @@
+/**
+ * HMAC and SigV4 request signing and verification
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHMACSigner, createSigV4Signer, verifySignature } from '../signing.js';
+import APIService, { MockTransport } from '../api.js';
+
+const request = {
+  method: 'POST',
+  url: 'https://api.test/orders?b=2&a=1',
+  headers: { 'Content-Type': 'application/json' },
+  body: '{"total":10}',
+};
+
+test('HMAC signatures verify and reject a tampered body', async () => {
+  const headers = await createHMACSigner({ secret: 'shh', keyId: 'k1' }).sign(request);
+
+  assert.deepEqual(await verifySignature({ ...request, headers }, { secret: 'shh' }), {
+    valid: true,
+    keyId: 'k1',
+  });
+  const tampered = await verifySignature(
+    { ...request, headers, body: '{"total":1}' },
+    { secret: 'shh' }
+  );
+  assert.equal(tampered.valid, false);
+});
+
+test('HMAC verification rejects a wrong secret and stale timestamps', async () => {
+  const headers = await createHMACSigner({ secret: 'shh' }).sign(request);
+
+  const wrongSecret = await verifySignature({ ...request, headers }, { secret: 'other' });
+  const stale = await verifySignature(
+    { ...request, headers },
+    { secret: 'shh', now: Date.now() + 600000 }
+  );
+
+  assert.equal(wrongSecret.valid, false);
+  assert.equal(stale.valid, false);
+});
+
+test('required headers must be covered by the signature', async () => {
+  const headers = await createHMACSigner({ secret: 'shh', signedHeaders: ['host'] }).sign(
+    request
+  );
+
+  const result = await verifySignature(
+    { ...request, headers },
+    { secret: 'shh', requiredHeaders: ['content-type'] }
+  );
+
+  assert.equal(result.valid, false);
+});
+
+test('SigV4 signatures verify with the secret access key', async () => {
+  const signer = createSigV4Signer({
+    accessKeyId: 'AKID',
+    secretAccessKey: 'secret',
+    region: 'eu-west-1',
+    service: 'execute-api',
+  });
+  const headers = await signer.sign({
+    ...request,
+    headers: { ...request.headers, Authorization: 'Bearer token' },
+  });
+
+  assert.match(headers.Authorization, /^AWS4-HMAC-SHA256 Credential=AKID\/\d{8}\/eu-west-1\//);
+  const result = await verifySignature(
+    { ...request, headers },
+    { profile: 'sigv4', secret: 'secret' }
+  );
+  assert.equal(result.valid, true);
+});
+
+test('the service signs outgoing requests unless a request opts out', async () => {
+  const transport = new MockTransport();
+  transport.onPost('/orders', { data: {} });
+  const api = new APIService({
+    baseURL: 'https://api.test',
+    transport,
+    signer: createHMACSigner({ secret: 'shh' }),
+  });
+
+  await api.post('/orders', { total: 10 });
+  await api.post('/orders', { total: 10 }, { signer: false });
+
+  const [signed, unsigned] = transport.history;
+  const result = await verifySignature(
+    { method: 'POST', url: signed.url, headers: signed.headers, body: signed.body },
+    { secret: 'shh' }
+  );
+  assert.equal(result.valid, true);
+  assert.equal(Object.keys(unsigned.headers).some((name) => /signature/i.test(name)), false);
+});
@@ -0,0 +1,66 @@
+/**
+ * Form validators and schema formats
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validatePassword,
+  validatePhone,
+  validateCreditCard,
+  validateCard,
+  validateExpiry,
+  validateCVC,
+  maskCardNumber,
+} from '../utils.js';
+import { validateSchema } from '../schema.js';
+
+test('validatePassword keeps the 0-6 strength scale beside the 0-4 score', () => {
+  const weak = validatePassword('Password1!');
+  const strong = validatePassword('correct horse battery staple');
+
+  assert.equal(weak.isValid, false);
+  assert.ok(weak.strength < 4);
+  assert.equal(strong.isValid, true);
+  assert.equal(strong.strength, 6);
+  assert.equal(strong.score, 4);
+  assert.equal(typeof strong.crackTime, 'string');
+});
+
+test('validatePassword penalizes personal details', () => {
+  const result = validatePassword('adalovelace1815', ['Ada', 'Lovelace']);
+  assert.equal(result.isValid, false);
+});
+
+test('validatePhone needs a country for national numbers', () => {
+  assert.equal(validatePhone('+1 415 555 2671'), true);
+  assert.equal(validatePhone('(415) 555-2671'), false);
+  assert.equal(validatePhone('(415) 555-2671', 'US'), true);
+  assert.equal(validatePhone('+1 415 555'), false);
+});
+
+test('card numbers are checked against their brand', () => {
+  assert.equal(validateCreditCard('4111 1111 1111 1111'), true);
+  assert.deepEqual(validateCard('4111 1111 1111 1112'), {
+    isValid: false,
+    brand: 'visa',
+    feedback: ['Card number is invalid'],
+  });
+  assert.equal(validateCard('3782 822463 10005').brand, 'amex');
+  assert.equal(validateCard('4111111111111111', { acceptedBrands: ['amex'] }).isValid, false);
+});
+
+test('expiry dates and CVCs follow the card brand', () => {
+  assert.equal(validateExpiry('01/20').isValid, false);
+  assert.equal(validateExpiry(`12/${(new Date().getFullYear() + 2) % 100}`).isValid, true);
+  assert.equal(validateCVC('1234', '378282246310005').isValid, true);
+  assert.equal(validateCVC('1234', '4111111111111111').isValid, false);
+  assert.equal(maskCardNumber('4111111111111111'), '•••• •••• •••• 1111');
+});
+
+test('schema phone formats use the property country', () => {
+  const schema = { type: 'string', format: 'phone', country: 'US' };
+
+  assert.equal(validateSchema('(415) 555-2671', schema).valid, true);
+  assert.equal(validateSchema('(415) 555-2671', { type: 'string', format: 'phone' }).valid, false);
+});
@@ -0,0 +1,501 @@
+/**
+ * Transport Module
+ * Features: Pluggable transports for APIService - the default fetch transport,
+ * a route-matching mock transport for tests, and a record/replay transport
+ * that captures real exchanges to JSON fixtures and plays them back offline
+ *
+ * A transport is either a function or an object with a `request` method:
+ *   (request) -> Promise<Response>
+ * where request is the intercepted fetch config: { url, method, headers, body, signal }.
+ */
+
+/**
+ * Create a transport backed by fetch
+ * @param {Function} fetchImpl - fetch implementation (defaults to the global fetch)
+ * @returns {Function} Transport
+ */
+export function createFetchTransport(fetchImpl) {
+  return (request) => (fetchImpl || globalThis.fetch)(request.url, request);
+}
+
+export const fetchTransport = createFetchTransport();
+
+/**
+ * Call a transport in either of its two shapes
+ * @param {Function|object} transport - Transport function or object with request()
+ * @param {object} request - Request to send
+ * @returns {Promise<Response>} Response
+ */
+export function sendWithTransport(transport, request) {
+  return typeof transport === 'function' ? transport(request) : transport.request(request);
+}
+
+/**
+ * Error raised for aborted transport calls, matching fetch's behaviour
+ * @private
+ */
+function createAbortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Wait, rejecting early if the signal aborts
+ * @private
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Build a Response from a { status, data, headers } description
+ * @private
+ */
+function toResponse(spec = {}) {
+  if (typeof Response !== 'undefined' && spec instanceof Response) return spec;
+
+  const status = spec.status ?? 200;
+  const headers = new Headers(spec.headers || {});
+  let body = spec.body ?? spec.data ?? null;
+
+  if (body !== null && typeof body === 'object' && !(body instanceof Blob) &&
+      !(body instanceof ArrayBuffer) && !ArrayBuffer.isView(body)) {
+    body = JSON.stringify(body);
+    if (!headers.has('content-type')) headers.set('content-type', 'application/json');
+  } else if (typeof body === 'string' && !headers.has('content-type')) {
+    headers.set('content-type', 'text/plain');
+  }
+
+  // Response cannot be constructed with a body for null-body statuses
+  const nullBody = [101, 204, 205, 304].includes(status);
+  return new Response(nullBody ? null : body, {
+    status,
+    statusText: spec.statusText || '',
+    headers,
+  });
+}
+
+/**
+ * Compile a route pattern into a matcher
+ * Supports RegExp, `*` wildcards and `:param` segments. Patterns without a
+ * host match on the URL path, so '/users/:id' matches 'https://api.test/users/1'.
+ * @private
+ */
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return (url) => {
+      const match = url.match(pattern);
+      return match ? { ...match.groups } : null;
+    };
+  }
+
+  const names = [];
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/?#]+)';
+    });
+  const regex = new RegExp(`^${source}(?:\\?.*)?$`);
+  const matchPath = !/^[a-z]+:\/\//i.test(pattern);
+
+  return (url) => {
+    let target = url;
+    if (matchPath) {
+      try {
+        const parsed = new URL(url, 'http://localhost');
+        target = `${parsed.pathname}${parsed.search}`;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    const match = target.match(regex);
+    if (!match) return null;
+
+    const params = {};
+    names.forEach((name, index) => {
+      params[name] = decodeURIComponent(match[index + 1]);
+    });
+    return params;
+  };
+}
+
+// ============================================================================
+// MOCK TRANSPORT
+// ============================================================================
+
+export class MockTransport {
+  /**
+   * @param {object} options - Mock options
+   * @param {Function|object} options.passthrough - Transport for unmatched requests; unmatched requests fail otherwise
+   * @param {number} options.delay - Default delay for every response in milliseconds
+   */
+  constructor(options = {}) {
+    this.routes = [];
+    this.history = [];
+    this.passthrough = options.passthrough || null;
+    this.defaultDelay = options.delay || 0;
+    this.request = this.request.bind(this);
+  }
+
+  /**
+   * Register a route
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp} pattern - URL pattern
+   * @param {object|Function} reply - Response spec or handler (request, params) => spec
+   * @param {object} options - { delay, times, networkError }
+   * @returns {MockTransport} this, for chaining
+   */
+  on(method, pattern, reply = {}, options = {}) {
+    this.routes.push({
+      method: method.toUpperCase(),
+      match: compilePattern(pattern),
+      reply,
+      delay: options.delay,
+      remaining: options.times ?? Infinity,
+      networkError: options.networkError || false,
+    });
+    return this;
+  }
+
+  onGet(pattern, reply, options) {
+    return this.on('GET', pattern, reply, options);
+  }
+
+  onPost(pattern, reply, options) {
+    return this.on('POST', pattern, reply, options);
+  }
+
+  onPut(pattern, reply, options) {
+    return this.on('PUT', pattern, reply, options);
+  }
+
+  onPatch(pattern, reply, options) {
+    return this.on('PATCH', pattern, reply, options);
+  }
+
+  onDelete(pattern, reply, options) {
+    return this.on('DELETE', pattern, reply, options);
+  }
+
+  onAny(pattern, reply, options) {
+    return this.on('*', pattern, reply, options);
+  }
+
+  /**
+   * Make a route fail as if the network were down
+   * @param {string} method - HTTP method
+   * @param {string|RegExp} pattern - URL pattern
+   * @param {object} options - { delay, times }
+   */
+  networkErrorOn(method, pattern, options = {}) {
+    return this.on(method, pattern, {}, { ...options, networkError: true });
+  }
+
+  /**
+   * Make a route never respond, so the client's timeout fires
+   * @param {string} method - HTTP method
+   * @param {string|RegExp} pattern - URL pattern
+   * @param {object} options - { times }
+   */
+  timeoutOn(method, pattern, options = {}) {
+    return this.on(method, pattern, {}, { ...options, delay: Infinity });
+  }
+
+  /**
+   * Remove all routes and recorded history
+   */
+  reset() {
+    this.routes = [];
+    this.history = [];
+  }
+
+  /**
+   * Handle a request
+   * @param {object} request - Intercepted fetch config
+   * @returns {Promise<Response>} Mocked response
+   */
+  async request(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    this.history.push({ method, url: request.url, headers: request.headers, body: request.body });
+
+    for (const route of this.routes) {
+      if (route.remaining <= 0) continue;
+      if (route.method !== '*' && route.method !== method) continue;
+
+      const params = route.match(request.url);
+      if (!params) continue;
+
+      route.remaining--;
+
+      const wait = route.delay ?? this.defaultDelay;
+      if (wait === Infinity) {
+        await new Promise((resolve, reject) => {
+          if (request.signal?.aborted) reject(createAbortError());
+          request.signal?.addEventListener('abort', () => reject(createAbortError()), {
+            once: true,
+          });
+        });
+      } else if (wait > 0) {
+        await delay(wait, request.signal);
+      }
+
+      if (route.networkError) {
+        throw new TypeError('Network request failed');
+      }
+
+      const spec =
+        typeof route.reply === 'function' ? await route.reply(request, params) : route.reply;
+      return toResponse(spec);
+    }
+
+    if (this.passthrough) {
+      return sendWithTransport(this.passthrough, request);
+    }
+
+    throw new Error(`No mock route matches ${method} ${request.url}`);
+  }
+}
+
+// ============================================================================
+// RECORD / REPLAY TRANSPORT
+// ============================================================================
+
+// Statuses whose responses can never carry a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Whether a content type can be stored as plain text
+ * @private
+ */
+function isTextual(contentType = '') {
+  return /^text\/|json|xml|javascript|x-www-form-urlencoded|event-stream/i.test(
+    contentType || ''
+  );
+}
+
+/**
+ * Join byte chunks into one array
+ * @private
+ */
+function concatBytes(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.byteLength, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+/**
+ * Encode bytes as base64 in both the browser and Node.js
+ * @private
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @private
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export class RecordReplayTransport {
+  /**
+   * @param {object} options - Transport options
+   * @param {string} options.mode - 'record', 'replay' or 'auto' (replay when a fixture exists, record otherwise)
+   * @param {string} options.fixturePath - JSON fixture file (Node.js)
+   * @param {object} options.storage - Alternative to fixturePath: { load() -> fixtures, save(fixtures) }
+   * @param {Function|object} options.transport - Transport used to record real exchanges (defaults to fetch)
+   * @param {Function} options.matchKey - Builds the key used to match requests to fixtures
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'replay';
+    this.fixturePath = options.fixturePath || null;
+    this.storage = options.storage || null;
+    this.transport = options.transport || fetchTransport;
+    this.matchKey = options.matchKey || RecordReplayTransport.defaultMatchKey;
+    this.fixtures = null;
+    this.replayCounts = new Map();
+    this.request = this.request.bind(this);
+
+    if (!this.fixturePath && !this.storage) {
+      throw new Error('RecordReplayTransport requires a fixturePath or storage');
+    }
+  }
+
+  /**
+   * Default fixture key: method, URL and body
+   * @param {object} request - Request
+   * @returns {string} Key
+   */
+  static defaultMatchKey(request) {
+    const body = typeof request.body === 'string' ? request.body : '';
+    return `${(request.method || 'GET').toUpperCase()} ${request.url} ${body}`;
+  }
+
+  /**
+   * Load fixtures from storage or disk
+   * @returns {Promise<array>} Recorded exchanges
+   */
+  async load() {
+    if (this.fixtures) return this.fixtures;
+
+    if (this.storage) {
+      this.fixtures = (await this.storage.load()) || [];
+      return this.fixtures;
+    }
+
+    const fs = await import('fs/promises');
+    try {
+      this.fixtures = JSON.parse(await fs.readFile(this.fixturePath, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      this.fixtures = [];
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * Write recorded exchanges to storage or disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const fixtures = await this.load();
+
+    if (this.storage) {
+      await this.storage.save(fixtures);
+      return;
+    }
+
+    const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+    await fs.mkdir(path.dirname(this.fixturePath), { recursive: true });
+    await fs.writeFile(this.fixturePath, `${JSON.stringify(fixtures, null, 2)}\n`);
+  }
+
+  /**
+   * Handle a request by replaying or recording it
+   * @param {object} request - Intercepted fetch config
+   * @returns {Promise<Response>} Response
+   */
+  async request(request) {
+    const fixtures = await this.load();
+    const key = this.matchKey(request);
+    const matches = fixtures.filter((fixture) => fixture.key === key);
+
+    if (this.mode === 'replay' || (this.mode === 'auto' && matches.length > 0)) {
+      if (matches.length === 0) {
+        throw new Error(`No recorded fixture for ${key.trim()}`);
+      }
+
+      // Repeated identical requests replay their recordings in order
+      const count = this.replayCounts.get(key) || 0;
+      this.replayCounts.set(key, count + 1);
+      return this.toResponse(matches[Math.min(count, matches.length - 1)].response);
+    }
+
+    const response = await sendWithTransport(this.transport, request);
+    const record = async (bytes) => {
+      fixtures.push({
+        key,
+        request: {
+          method: (request.method || 'GET').toUpperCase(),
+          url: request.url,
+          body: typeof request.body === 'string' ? request.body : undefined,
+        },
+        response: this.serializeResponse(response, bytes),
+      });
+
+      // Persist after every exchange so an interrupted run keeps what it captured
+      await this.save();
+    };
+
+    if (!response.body || NULL_BODY_STATUSES.includes(response.status)) {
+      await record(new Uint8Array(0));
+      return response;
+    }
+
+    // Record as the caller reads the body rather than buffering it first, so
+    // streamed responses arrive as they are sent; unread bodies are not recorded
+    const chunks = [];
+    const recorder = new TransformStream({
+      transform(chunk, controller) {
+        chunks.push(chunk);
+        controller.enqueue(chunk);
+      },
+      flush: () => record(concatBytes(chunks)),
+    });
+    return new Response(response.body.pipeThrough(recorder), {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  /**
+   * Capture a response as a JSON-safe object
+   * @private
+   */
+  serializeResponse(response, bytes) {
+    const headers = Object.fromEntries(response.headers.entries());
+    const textual = isTextual(headers['content-type']);
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      encoding: textual ? 'utf8' : 'base64',
+      body: textual ? new TextDecoder().decode(bytes) : bytesToBase64(bytes),
+    };
+  }
+
+  /**
+   * Rebuild a Response from a fixture
+   * @private
+   */
+  toResponse(recorded) {
+    const body = recorded.encoding === 'base64' ? base64ToBytes(recorded.body) : recorded.body;
+    return toResponse({
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: recorded.headers,
+      body,
+    });
+  }
+}
+
+export default {
+  fetchTransport,
+  createFetchTransport,
+  sendWithTransport,
+  MockTransport,
+  RecordReplayTransport,
+};
@@ -0,0 +1,97 @@
+/**
+ * URL Module
+ * Features: Path templates, absolute and protocol-relative URL detection,
+ * base URL joining and query strings for APIService
+ */
+
+import { encodeForURL } from './utils.js';
+
+/**
+ * Check whether a URL carries its own scheme (https://, ws://, data:, ...)
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL is absolute
+ */
+export function isAbsoluteURL(url) {
+  return /^[a-z][a-z\d+\-.]*:/i.test(url);
+}
+
+/**
+ * Check whether a URL is protocol-relative (//cdn.example.com/file)
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL inherits the scheme
+ */
+export function isProtocolRelativeURL(url) {
+  return url.startsWith('//');
+}
+
+/**
+ * Percent-encode characters that are not allowed in a URL
+ * Existing escapes and reserved characters are left alone, so encoded URLs
+ * are not encoded twice.
+ * @param {string} url - URL to escape
+ * @returns {string} Escaped URL
+ */
+export function escapeURL(url) {
+  return url.replace(/%(?![\da-f]{2})|[^\w\-.~:/?#[\]@!$&'()*+,;=%]/gi, (char) =>
+    encodeURIComponent(char)
+  );
+}
+
+/**
+ * Fill in a path template such as `/users/:id/orders/:orderId`
+ * Values are encoded with `encodeForURL`, so they cannot add path segments.
+ * @param {string} template - Path with `:name` placeholders
+ * @param {object} params - Placeholder values
+ * @returns {string} Expanded path
+ * @throws {Error} If a placeholder has no value
+ */
+export function expandPath(template, params = {}) {
+  // Skip the scheme and port of absolute URLs (https://host:8080/...)
+  return template.replace(/(^|[^:\w]):([A-Za-z_]\w*)/g, (match, prefix, name) => {
+    if (/^\d/.test(name)) return match;
+
+    const value = params[name];
+    if (value === undefined || value === null) {
+      throw new Error(`Missing value for path parameter ":${name}" in ${template}`);
+    }
+    return `${prefix}${encodeForURL(String(value))}`;
+  });
+}
+
+/**
+ * Join a base URL and a path without doubling or dropping the slash
+ * @param {string} base - Base URL
+ * @param {string} path - Relative path
+ * @returns {string} Joined URL
+ */
+export function joinURL(base, path) {
+  if (!base) return path;
+  if (!path) return base;
+  if (path.startsWith('?') || path.startsWith('#')) return `${base}${path}`;
+  return `${base.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Append query parameters to a URL that may already have a query string
+ * @param {string} url - URL
+ * @param {object|URLSearchParams} params - Query parameters
+ * @returns {string} URL with the parameters appended
+ */
+export function appendQuery(url, params) {
+  if (!params) return url;
+  const queryString = new URLSearchParams(params).toString();
+  if (!queryString) return url;
+
+  const [withoutHash, hash] = url.split('#');
+  const separator = withoutHash.includes('?') ? '&' : '?';
+  return `${withoutHash}${separator}${queryString}${hash !== undefined ? `#${hash}` : ''}`;
+}
+
+export default {
+  isAbsoluteURL,
+  isProtocolRelativeURL,
+  escapeURL,
+  expandPath,
+  joinURL,
+  appendQuery,
+};
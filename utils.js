@@ -3,6 +3,17 @@
  * Created: 2025-12-09
  */
 
+import { parsePhone } from './phone.js';
+import { estimatePasswordStrength } from './password.js';
+import {
+  validateCard,
+  validateExpiry,
+  validateCVC,
+  formatCardNumber,
+  getLastFour,
+  maskCardNumber,
+} from './card.js';
+
 // ============================================================================
 // FORM VALIDATION UTILITIES
 // ============================================================================
@@ -17,49 +28,48 @@ export function validateEmail(email) {
   return emailRegex.test(email);
 }
 
+// Guessability scores (0-4) mapped onto the original 0-6 strength scale, where
+// valid passwords score 4 or more
+const STRENGTH_FROM_SCORE = [0, 2, 3, 5, 6];
+
 /**
  * Validates password strength
+ * Scores how hard the password is to guess rather than counting character
+ * classes, so 'Password1!' and keyboard walks are rejected.
  * @param {string} password - Password to validate
- * @returns {object} Object with isValid boolean and feedback array
+ * @param {string[]} userInputs - Name, email and other personal details to penalize
+ * @returns {object} Object with isValid boolean, strength (0-6), guessability score (0-4),
+ *   feedback array and crackTime
  */
-export function validatePassword(password) {
-  const feedback = [];
-  let strength = 0;
-
+export function validatePassword(password, userInputs = []) {
   if (!password) {
-    return { isValid: false, strength: 0, feedback: ['Password is required'] };
+    return { isValid: false, strength: 0, score: 0, feedback: ['Password is required'] };
   }
 
-  if (password.length >= 8) strength++;
-  else feedback.push('Password must be at least 8 characters long');
-
-  if (password.length >= 12) strength++;
-  else feedback.push('Consider using 12+ characters for better security');
-
-  if (/[a-z]/.test(password)) strength++;
-  else feedback.push('Password must contain lowercase letters');
+  const { score, feedback, crackTimesDisplay } = estimatePasswordStrength(password, userInputs);
+  const messages = [feedback.warning, ...feedback.suggestions].filter(Boolean);
+  if (password.length < 8) messages.unshift('Password must be at least 8 characters long');
 
-  if (/[A-Z]/.test(password)) strength++;
-  else feedback.push('Password must contain uppercase letters');
-
-  if (/[0-9]/.test(password)) strength++;
-  else feedback.push('Password must contain numbers');
-
-  if (/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) strength++;
-  else feedback.push('Password should contain special characters');
-
-  const isValid = strength >= 4;
-  return { isValid, strength, feedback };
+  return {
+    isValid: password.length >= 8 && score >= 3,
+    strength: STRENGTH_FROM_SCORE[score],
+    score,
+    feedback: messages,
+    crackTime: crackTimesDisplay.offlineSlowHash,
+  };
 }
 
 /**
- * Validates phone number format (supports common formats)
+ * Validates phone number against per-country numbering plans
+ * International numbers (+972..., 0044...) are checked against their own
+ * country. National numbers need defaultCountry: without it they are
+ * rejected, since almost any digit string is valid somewhere.
  * @param {string} phone - Phone number to validate
+ * @param {string} defaultCountry - ISO country code of numbers written without a calling code
  * @returns {boolean} True if phone number is valid
  */
-export function validatePhone(phone) {
-  const phoneRegex = /^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/;
-  return phoneRegex.test(phone.replace(/\s/g, ''));
+export function validatePhone(phone, defaultCountry) {
+  return parsePhone(phone, defaultCountry).valid;
 }
 
 /**
@@ -98,32 +108,20 @@ export function validateRange(value, min, max) {
 }
 
 /**
- * Validates credit card number using Luhn algorithm
+ * Validates credit card number
+ * Recognized brands must match their own lengths and check digit rules;
+ * other numbers need 13-19 digits and a valid Luhn checksum. Use
+ * validateCard for the brand and feedback messages.
  * @param {string} cardNumber - Credit card number
  * @returns {boolean} True if card number is valid
  */
 export function validateCreditCard(cardNumber) {
-  const sanitized = cardNumber.replace(/\s/g, '');
-  if (!/^\d{13,19}$/.test(sanitized)) return false;
-
-  let sum = 0;
-  let isEven = false;
-
-  for (let i = sanitized.length - 1; i >= 0; i--) {
-    let digit = parseInt(sanitized[i], 10);
-
-    if (isEven) {
-      digit *= 2;
-      if (digit > 9) digit -= 9;
-    }
-
-    sum += digit;
-    isEven = !isEven;
-  }
-
-  return sum % 10 === 0;
+  return validateCard(cardNumber).isValid;
 }
 
+// Payment card helpers; the validators return { isValid, feedback } like validatePassword
+export { validateCard, validateExpiry, validateCVC, formatCardNumber, getLastFour, maskCardNumber };
+
 // ============================================================================
 // DATA SANITIZATION UTILITIES
 // ============================================================================
@@ -451,6 +449,12 @@ export default {
   validateRequired,
   validateRange,
   validateCreditCard,
+  validateCard,
+  validateExpiry,
+  validateCVC,
+  formatCardNumber,
+  getLastFour,
+  maskCardNumber,
   // Data Sanitization
   sanitizeHTML,
   trimWhitespace,
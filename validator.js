@@ -0,0 +1,344 @@
+/**
+ * Form Validator Module
+ * Features: Declarative form validation built on the utils.js validators -
+ * required/length/range/pattern rules, cross-field rules, sync and async
+ * custom and registered rules, and overridable, localizable messages
+ *
+ * Rules are declared per field:
+ *   const validator = createValidator({
+ *     email: { required: true, email: true, custom: isEmailAvailable },
+ *     password: { required: true, password: true },
+ *     confirmPassword: { required: true, matches: 'password' },
+ *     age: { min: 18, max: 120 },
+ *   });
+ *   const { valid, errors } = await validator.validate(values);
+ * Any rule also accepts { value, message } to override its message, e.g.
+ *   minLength: { value: 3, message: 'Pick a longer name' }
+ *
+ * Results always have the shape { valid, errors: { field: [messages] } },
+ * where `errors` only lists failing fields. A rule that throws or rejects
+ * fails its field with that rule's message.
+ */
+
+import {
+  validateEmail,
+  validatePassword,
+  validatePhone,
+  validateURL,
+  validateRequired,
+  validateRange,
+  validateCreditCard,
+} from './utils.js';
+import { validateCard, validateExpiry, validateCVC } from './card.js';
+
+// Keys of a field definition that are not rules
+const FIELD_OPTIONS = ['label', 'messages', 'required', 'custom'];
+
+const locales = {
+  en: {
+    required: '{label} is required',
+    email: '{label} must be a valid email address',
+    url: '{label} must be a valid URL',
+    phone: '{label} must be a valid phone number',
+    creditCard: '{label} must be a valid card number',
+    cardExpiry: '{label} must be a valid, unexpired date',
+    cardCVC: '{label} must be a valid security code',
+    password: '{label} is too weak',
+    min: '{label} must be at least {min}',
+    max: '{label} must be at most {max}',
+    minLength: '{label} must be at least {min} characters',
+    maxLength: '{label} must be at most {max} characters',
+    pattern: '{label} has an invalid format',
+    oneOf: '{label} must be one of {options}',
+    matches: '{label} must match {other}',
+    custom: '{label} is invalid',
+  },
+};
+
+const rules = {
+  email: { test: (value) => validateEmail(String(value)) },
+  url: { test: (value) => validateURL(String(value)) },
+  // `phone: true` needs international format; `phone: 'IL'` also accepts Israeli national numbers
+  phone: {
+    test: (value, country) =>
+      validatePhone(String(value), typeof country === 'string' ? country : undefined),
+  },
+  // `creditCard: ['visa', 'mastercard']` limits the accepted brands
+  creditCard: {
+    test: (value, brands) =>
+      Array.isArray(brands)
+        ? validateCard(value, { acceptedBrands: brands }).isValid
+        : validateCreditCard(String(value)),
+  },
+  cardExpiry: { test: (value) => validateExpiry(value).isValid },
+  // `cardCVC: 'cardNumber'` checks the code length for that field's card brand
+  cardCVC: {
+    test: (value, numberField, values) =>
+      validateCVC(value, typeof numberField === 'string' ? getValue(values, numberField) : null)
+        .isValid,
+  },
+  // `password: ['name', 'email']` penalizes passwords built from those fields
+  password: {
+    test: (value, context, values) =>
+      validatePassword(
+        String(value),
+        Array.isArray(context) ? context.map((field) => getValue(values, field)) : []
+      ).isValid,
+  },
+  min: {
+    test: (value, min) => validateRange(value, min, Infinity),
+    params: (min) => ({ min }),
+  },
+  max: {
+    test: (value, max) => validateRange(value, -Infinity, max),
+    params: (max) => ({ max }),
+  },
+  minLength: {
+    test: (value, min) => lengthOf(value) >= min,
+    params: (min) => ({ min }),
+  },
+  maxLength: {
+    test: (value, max) => lengthOf(value) <= max,
+    params: (max) => ({ max }),
+  },
+  pattern: { test: (value, pattern) => new RegExp(pattern).test(String(value)) },
+  oneOf: {
+    test: (value, options) => options.includes(value),
+    params: (options) => ({ options: options.join(', ') }),
+  },
+  matches: {
+    test: (value, other, values) => value === getValue(values, other),
+    params: (other, labelOf) => ({ other: labelOf(other) }),
+  },
+};
+
+/**
+ * Register a rule usable in every validator
+ * @param {string} name - Rule name used in field definitions
+ * @param {Function} test - (value, argument, values) => boolean or Promise<boolean>
+ * @param {string|Function} message - Default English message
+ * @param {Function} params - (argument, labelOf) => message parameters
+ */
+export function registerRule(name, test, message, params) {
+  if (FIELD_OPTIONS.includes(name)) {
+    throw new Error(`"${name}" is reserved and cannot be registered as a rule`);
+  }
+  rules[name] = { test, params };
+  if (message !== undefined) locales.en[name] = message;
+}
+
+/**
+ * Add or extend a message catalog
+ * Missing keys fall back to English.
+ * @param {string} locale - Locale code such as 'he' or 'fr'
+ * @param {object} messages - Messages keyed by rule name
+ */
+export function registerMessages(locale, messages) {
+  locales[locale] = { ...locales[locale], ...messages };
+}
+
+/**
+ * Length of strings and arrays
+ * @private
+ */
+function lengthOf(value) {
+  return Array.isArray(value) ? value.length : String(value).length;
+}
+
+/**
+ * Read a field, following dotted paths such as 'address.city'
+ * @private
+ */
+function getValue(values, path) {
+  if (values && Object.hasOwn(values, path)) return values[path];
+  return path.split('.').reduce((current, key) => current?.[key], values);
+}
+
+/**
+ * Turn FormData and URLSearchParams into plain objects
+ * Repeated keys (checkbox groups, multi-selects) become arrays.
+ * @private
+ */
+function toPlainValues(values) {
+  if (!values || typeof values.getAll !== 'function') return values || {};
+
+  const plain = {};
+  new Set(values.keys()).forEach((key) => {
+    const all = values.getAll(key);
+    plain[key] = all.length > 1 ? all : all[0];
+  });
+  return plain;
+}
+
+/**
+ * Split a rule into its argument and message override
+ * @private
+ */
+function unpackRule(rule) {
+  if (
+    rule !== null &&
+    typeof rule === 'object' &&
+    !Array.isArray(rule) &&
+    !(rule instanceof RegExp) &&
+    'value' in rule
+  ) {
+    return { argument: rule.value, message: rule.message };
+  }
+  return { argument: rule };
+}
+
+/**
+ * Turn a field name into a readable label ('confirmPassword' -> 'Confirm password')
+ * @private
+ */
+function humanize(field) {
+  const words = field
+    .split('.')
+    .pop()
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Create a form validator
+ * @param {object} fields - Field definitions keyed by field name
+ * @param {object} options - Validator options
+ * @param {string} options.locale - Message catalog to use (default 'en')
+ * @param {object} options.messages - Message overrides keyed by rule name
+ * @param {object} options.labels - Field labels used in messages
+ * @returns {object} { fields, validate, validateField }
+ */
+export function createValidator(fields, options = {}) {
+  Object.entries(fields).forEach(([field, definition]) => {
+    Object.keys(definition).forEach((name) => {
+      if (!FIELD_OPTIONS.includes(name) && !Object.hasOwn(rules, name)) {
+        throw new Error(`Unknown validation rule "${name}" for field "${field}"`);
+      }
+    });
+  });
+
+  const labelOf = (field) =>
+    fields[field]?.label ?? options.labels?.[field] ?? humanize(field);
+
+  const formatMessage = (field, rule, params, override, locale) => {
+    const template =
+      override ??
+      fields[field].messages?.[rule] ??
+      options.messages?.[rule] ??
+      locales[locale]?.[rule] ??
+      locales.en[rule] ??
+      locales.en.custom;
+    const allParams = { label: labelOf(field), field, ...params };
+
+    if (typeof template === 'function') return template(allParams);
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      allParams[name] !== undefined ? String(allParams[name]) : match
+    );
+  };
+
+  const checkField = async (field, values, locale) => {
+    const definition = fields[field];
+    const value = getValue(values, field);
+    const errors = [];
+
+    // Empty optional fields skip every other rule; an unchecked checkbox counts as empty
+    if (
+      !validateRequired(value) ||
+      value === false ||
+      (Array.isArray(value) && value.length === 0)
+    ) {
+      const { argument, message } = unpackRule(definition.required);
+      if (argument) errors.push(formatMessage(field, 'required', {}, message, locale));
+      return errors;
+    }
+
+    for (const [name, rule] of Object.entries(definition)) {
+      if (FIELD_OPTIONS.includes(name)) continue;
+
+      const { argument, message } = unpackRule(rule);
+      if (argument === false || argument === null || argument === undefined) continue;
+
+      // A rule that throws fails the field rather than the whole validation
+      const { test, params } = rules[name];
+      const passed = await Promise.resolve()
+        .then(() => test(value, argument, values))
+        .catch(() => false);
+      if (!passed) {
+        const messageParams = params ? params(argument, labelOf) : {};
+        errors.push(formatMessage(field, name, messageParams, message, locale));
+      }
+    }
+
+    // Custom rules may be slow (server round trips), so they only run on
+    // values that already pass the built-in rules
+    if (errors.length === 0 && definition.custom) {
+      const customRules = Array.isArray(definition.custom)
+        ? definition.custom
+        : [definition.custom];
+
+      for (const rule of customRules) {
+        const { argument: check, message } = unpackRule(rule);
+        const result = await Promise.resolve()
+          .then(() => check(value, values, { field, label: labelOf(field) }))
+          .catch(() => false);
+
+        if (result === false) {
+          errors.push(formatMessage(field, 'custom', {}, message, locale));
+        } else if (typeof result === 'string') {
+          errors.push(result);
+        }
+      }
+    }
+
+    return errors;
+  };
+
+  const run = async (names, values, runOptions = {}) => {
+    const plain = toPlainValues(values);
+    const locale = runOptions.locale || options.locale || 'en';
+    const results = await Promise.all(names.map((field) => checkField(field, plain, locale)));
+
+    const errors = {};
+    names.forEach((field, index) => {
+      if (results[index].length > 0) errors[field] = results[index];
+    });
+    return { valid: Object.keys(errors).length === 0, errors };
+  };
+
+  return {
+    fields,
+
+    /**
+     * Validate every field
+     * @param {object|FormData|URLSearchParams} values - Form values
+     * @param {object} runOptions - { locale } override for this run
+     * @returns {Promise<object>} { valid, errors }
+     */
+    validate(values, runOptions) {
+      return run(Object.keys(fields), values, runOptions);
+    },
+
+    /**
+     * Validate a single field, e.g. on blur
+     * Cross-field rules still see the other values.
+     * @param {string} field - Field name
+     * @param {object|FormData|URLSearchParams} values - Form values
+     * @param {object} runOptions - { locale } override for this run
+     * @returns {Promise<object>} { valid, errors }
+     */
+    validateField(field, values, runOptions) {
+      if (!fields[field]) {
+        return Promise.reject(new Error(`Unknown field "${field}"`));
+      }
+      return run([field], values, runOptions);
+    },
+  };
+}
+
+export default {
+  createValidator,
+  registerRule,
+  registerMessages,
+};